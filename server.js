@@ -1,58 +1,98 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import { connectRedis, CONFIG } from "./src/config.js";
+import { CONFIG } from "./src/config.js";
 import { initializeServices } from "./src/services.js";
+import { importSourcesFile } from "./src/sources.js";
 import router from "./src/routes.js";
+import adminRouter from "./src/adminRoutes.js";
+import { rateLimitByIp } from "./src/rateLimit.js";
+import { metricsHandler, metricsMiddleware } from "./src/metrics.js";
+import { logger, requestLogger } from "./src/logger.js";
+import { NotFoundError, errorResponse } from "./src/errors.js";
 
 // Load environment variables
 dotenv.config();
 
 // Validate required environment variables
-const requiredEnvVars = ["GEMINI_API_KEY"];
+const requiredEnvVars =
+  CONFIG.LLM_PROVIDER === "gemini" ? ["GEMINI_API_KEY"] : [];
 const missingEnvVars = requiredEnvVars.filter(
   (varName) => !process.env[varName]
 );
 
 if (missingEnvVars.length > 0) {
-  console.error(
-    "❌ Missing required environment variables:",
-    missingEnvVars.join(", ")
+  logger.error("❌ Missing required environment variables", {
+    missing: missingEnvVars,
+  });
+  logger.error("Please create a .env file with the required variables");
+  process.exit(1);
+}
+
+if (!CONFIG.AUTH_ENABLED) {
+  logger.warn("⚠️  AUTH_ENABLED=false: API routes are open to anyone");
+}
+
+// With API keys in play, browsers may only call the API from known origins
+const corsAnyOrigin =
+  CONFIG.CORS_ORIGINS.length === 0 || CONFIG.CORS_ORIGINS.includes("*");
+if (CONFIG.AUTH_ENABLED && CONFIG.CORS_ORIGINS.length === 0) {
+  logger.error(
+    "❌ FRONTEND_URL is required when AUTH_ENABLED is on: set it to the allowed origins (comma-separated), or * to allow any"
   );
-  console.error("Please create a .env file with the required variables");
   process.exit(1);
 }
+if (CONFIG.AUTH_ENABLED && corsAnyOrigin) {
+  logger.warn(
+    "⚠️  FRONTEND_URL=*: any website can call the API from a browser"
+  );
+}
 
 // Create Express app
 const app = express();
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
+
 // ============ MIDDLEWARE ============
 
 // CORS configuration
 app.use(
   cors({
-    origin: process.env.FRONTEND_URL || "*",
-    methods: ["GET", "POST", "DELETE"],
-    credentials: true,
+    origin: corsAnyOrigin ? "*" : CONFIG.CORS_ORIGINS,
+    methods: ["GET", "POST", "PATCH", "DELETE"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-API-Key",
+      "X-Request-Id",
+    ],
+    exposedHeaders: [
+      "X-Request-Id",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "Retry-After",
+    ],
+    // Browsers refuse credentials with a wildcard origin
+    credentials: !corsAnyOrigin,
   })
 );
 
+// Request IDs (X-Request-Id) and request logging. Before the body parsers,
+// so malformed bodies are still logged and answered with a request ID.
+app.use(requestLogger);
+
+// Prometheus request counts and latencies, also before the body parsers so
+// requests rejected there are counted
+if (CONFIG.METRICS_ENABLED) app.use(metricsMiddleware);
+
 // Body parsers
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  const start = Date.now();
-  res.on("finish", () => {
-    const duration = Date.now() - start;
-    console.log(
-      `${req.method} ${req.path} - ${res.statusCode} (${duration}ms)`
-    );
-  });
-  next();
-});
-
 // ============ ROUTES ============
 
 // Root endpoint
@@ -63,78 +103,94 @@ app.get("/", (req, res) => {
     version: "1.0.0",
     endpoints: {
       health: "GET /api/health",
+      liveness: "GET /api/health/live",
+      readiness: "GET /api/health/ready",
+      metrics: "GET /metrics",
       createSession: "POST /api/sessions",
+      listSessions: "GET /api/sessions",
+      getSession: "GET /api/sessions/:sessionId",
+      renameSession: "PATCH /api/sessions/:sessionId",
       chat: "POST /api/chat",
+      chatStream: "POST /api/chat/stream",
       history: "GET /api/history/:sessionId",
       clearSession: "DELETE /api/sessions/:sessionId",
       articles: "GET /api/articles",
-      stats: "GET /api/stats",
+      stats: "GET /api/admin/stats",
+      refresh: "GET /api/admin/refresh",
+      sources:
+        "GET|POST /api/admin/sources, GET|PATCH|DELETE /api/admin/sources/:sourceId",
+      ingestSource: "POST /api/admin/sources/:sourceId/ingest",
+      reloadSources: "POST /api/admin/sources/reload",
+      testSource: "POST /api/admin/sources/test",
+      apiKeys: "GET|POST /api/admin/keys, DELETE /api/admin/keys/:keyId",
     },
     documentation: "See README.md for full API documentation",
   });
 });
 
-// API routes
+// Prometheus scrape endpoint, outside /api so it isn't rate limited
+if (CONFIG.METRICS_ENABLED) app.get("/metrics", metricsHandler);
+
+// API routes: per-IP limit on everything, then API-key auth inside the
+// routers (admin routes additionally need an admin key)
+app.use("/api", rateLimitByIp);
+app.use("/api/admin", adminRouter);
 app.use("/api", router);
 
 // ============ ERROR HANDLING ============
 
-// Global error handler
+// 404 handler
+app.use((req, res, next) => {
+  next(new NotFoundError("Route not found", { code: "ROUTE_NOT_FOUND" }));
+});
+
+// Global error handler: every error response has the shape
+// { success: false, error, code, details?, retryAfter?, requestId }
 app.use((err, req, res, next) => {
-  console.error("❌ Unhandled error:", err);
+  const { status, headers, body } = errorResponse(err, req.id);
 
-  res.status(err.status || 500).json({
-    success: false,
-    error: err.message || "Internal server error",
-    ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
-  });
-});
+  // Client errors are already visible in the request log line
+  if (status >= 500) {
+    req.log.error("❌ Request failed", { error: err, code: body.code });
+  } else {
+    req.log.debug(`⚠️  ${body.error}`, { code: body.code });
+  }
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: "Route not found",
-    path: req.path,
-  });
+  res
+    .status(status)
+    .set(headers)
+    .json({
+      ...body,
+      ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
+    });
 });
 
 // ============ SERVER STARTUP ============
 
 async function startServer() {
-  try {
-    console.log("🚀 Starting News Chatbot Backend...\n");
-
-    // Step 1: Connect to Redis
-    console.log("📡 Connecting to Redis...");
-    await connectRedis();
+  logger.info("🚀 Starting News Chatbot Backend...");
+
+  // Step 1: Start Express server right away; /api/health/ready reports when
+  // the services below are ready
+  logger.info("🌐 Starting Express server...");
+  await new Promise((resolve) => app.listen(CONFIG.PORT, resolve));
+  logger.info(`🚀 Server listening on port ${CONFIG.PORT}`, {
+    port: CONFIG.PORT,
+    docs: `http://localhost:${CONFIG.PORT}/api`,
+    readiness: `http://localhost:${CONFIG.PORT}/api/health/ready`,
+  });
 
-    // Step 2: Initialize services (fetch news + create embeddings)
-    console.log("\n📚 Initializing services...");
+  // Step 2: Connect to Redis and Qdrant (retried until they are reachable),
+  // then ingest news in the background
+  try {
+    logger.info("📚 Initializing services...");
     await initializeServices();
-
-    // Step 3: Start Express server
-    console.log("\n🌐 Starting Express server...");
-    app.listen(CONFIG.PORT, () => {
-      console.log("\n" + "=".repeat(50));
-      console.log("✅ SERVER READY");
-      console.log("=".repeat(50));
-      console.log(`🚀 Server running on port ${CONFIG.PORT}`);
-      console.log(`🔗 Local: http://localhost:${CONFIG.PORT}`);
-      console.log(`🔗 API Docs: http://localhost:${CONFIG.PORT}/api`);
-      console.log(
-        `📊 Health Check: http://localhost:${CONFIG.PORT}/api/health`
-      );
-      console.log("=".repeat(50) + "\n");
-      console.log("💡 Ready to receive requests!\n");
-    });
+    logger.info("💡 Ready to receive requests!");
   } catch (error) {
-    console.error("\n❌ Failed to start server:", error);
-    console.error("\nTroubleshooting:");
-    console.error("1. Check if Redis is running: redis-cli ping");
-    console.error("2. Verify GEMINI_API_KEY in .env file");
-    console.error("3. Check internet connection for news feeds");
-    console.error("\nServer will exit now.\n");
+    logger.error("❌ Failed to start server, exiting", {
+      error: error.message,
+      hint: "Check sources.json (or SOURCES_FILE) for errors and that the embedding provider matches the collection",
+    });
     process.exit(1);
   }
 }
@@ -142,29 +198,39 @@ async function startServer() {
 // ============ GRACEFUL SHUTDOWN ============
 
 process.on("SIGTERM", async () => {
-  console.log("\n⚠️  SIGTERM received, shutting down gracefully...");
+  logger.info("⚠️  SIGTERM received, shutting down gracefully...");
   try {
     await redisClient.quit();
-    console.log("✅ Redis connection closed");
+    logger.info("✅ Redis connection closed");
     process.exit(0);
   } catch (error) {
-    console.error("❌ Error during shutdown:", error);
+    logger.error("❌ Error during shutdown", { error });
     process.exit(1);
   }
 });
 
 process.on("SIGINT", async () => {
-  console.log("\n⚠️  SIGINT received, shutting down gracefully...");
+  logger.info("⚠️  SIGINT received, shutting down gracefully...");
   try {
     await redisClient.quit();
-    console.log("✅ Redis connection closed");
+    logger.info("✅ Redis connection closed");
     process.exit(0);
   } catch (error) {
-    console.error("❌ Error during shutdown:", error);
+    logger.error("❌ Error during shutdown", { error });
     process.exit(1);
   }
 });
 
+// Re-import the sources file without restarting
+process.on("SIGHUP", async () => {
+  logger.info("🔄 SIGHUP received, importing new sources...");
+  try {
+    await importSourcesFile();
+  } catch (error) {
+    logger.error("❌ Keeping current sources", { error: error.message });
+  }
+});
+
 // ============ START ============
 
 startServer();
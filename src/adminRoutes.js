@@ -0,0 +1,378 @@
+import express from "express";
+import {
+  getArticles,
+  getEmbeddingsCount,
+  getRefreshStatus,
+  ingestSource,
+  testSource,
+} from "./services.js";
+import {
+  addSource,
+  deleteSource,
+  getSource,
+  getSourceStats,
+  getSources,
+  importSourcesFile,
+  updateSource,
+  withDefaults,
+} from "./sources.js";
+import {
+  authenticate,
+  createApiKey,
+  listApiKeys,
+  requireAdmin,
+  revokeApiKey,
+} from "./auth.js";
+import { rateLimitByKey } from "./rateLimit.js";
+import { ConflictError, NotFoundError, ValidationError } from "./errors.js";
+import { asyncHandler, detailsFromMessages, validate } from "./validation.js";
+import * as schemas from "./schemas.js";
+
+// Operational routes, mounted at /api/admin. Every route needs an admin key.
+const router = express.Router();
+
+router.use(authenticate, rateLimitByKey, requireAdmin);
+
+// ============ SYSTEM ROUTES ============
+
+/**
+ * GET /api/admin/stats
+ * Get system statistics
+ */
+router.get(
+  "/stats",
+  validate(schemas.stats),
+  asyncHandler(async (req, res) => {
+    const articles = getArticles();
+    const embeddingsCount = await getEmbeddingsCount();
+
+    res.json({
+      success: true,
+      stats: {
+        totalArticles: articles.length,
+        totalEmbeddings: embeddingsCount,
+        vectorDB: "Qdrant Cloud",
+        sources: articles.reduce((acc, article) => {
+          const domain = new URL(article.link).hostname;
+          acc[domain] = (acc[domain] || 0) + 1;
+          return acc;
+        }, {}),
+        oldestArticle: articles[articles.length - 1]?.pubDate,
+        newestArticle: articles[0]?.pubDate,
+        lastRefresh: getRefreshStatus().lastRun,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/admin/refresh
+ * Get status of the scheduled news refresh job
+ */
+router.get("/refresh", validate(schemas.refreshStatus), (req, res) => {
+  res.json({
+    success: true,
+    refresh: getRefreshStatus(),
+  });
+});
+
+// ============ SOURCE ROUTES ============
+
+async function withStats(source) {
+  return { ...source, stats: await getSourceStats(source.id) };
+}
+
+/** A stored source, or a 404 */
+async function findSource(sourceId) {
+  const source = await getSource(sourceId);
+  if (!source) {
+    throw new NotFoundError("Source not found", { code: "SOURCE_NOT_FOUND" });
+  }
+  return source;
+}
+
+/**
+ * GET /api/admin/sources
+ * List news sources with their fetch stats
+ */
+router.get(
+  "/sources",
+  validate(schemas.listSources),
+  asyncHandler(async (req, res) => {
+    const sources = await Promise.all((await getSources()).map(withStats));
+
+    res.json({
+      success: true,
+      sources,
+      count: sources.length,
+      unhealthy: sources.filter((s) => s.stats?.healthy === false).length,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/sources
+ * Add a news source
+ */
+router.post(
+  "/sources",
+  validate(schemas.createSource),
+  asyncHandler(async (req, res) => {
+    const source = await addSource(req.body);
+    if (!source) {
+      throw new ConflictError(`Source "${req.body.id}" already exists`, {
+        code: "SOURCE_EXISTS",
+      });
+    }
+
+    req.log.info(`🗂️  Added source ${source.id}`);
+    res.status(201).json({
+      success: true,
+      source,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/sources/reload
+ * Re-import the sources file. Only sources not stored yet are added, unless
+ * ?overwrite=true, which replaces stored sources with the file's. An
+ * invalid file is rejected and nothing is changed.
+ */
+router.post(
+  "/sources/reload",
+  validate(schemas.reloadSources),
+  asyncHandler(async (req, res) => {
+    let result;
+    try {
+      result = await importSourcesFile({ overwrite: req.query.overwrite });
+    } catch (error) {
+      req.log.error("Error reloading sources", { error: error.message });
+      throw new ValidationError(
+        "Failed to reload sources",
+        error.details
+          ? detailsFromMessages(error.details)
+          : [{ field: "file", message: error.message }],
+        { code: "INVALID_SOURCES_FILE" }
+      );
+    }
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/sources/test
+ * Dry-run a source and return what it extracts, without storing anything.
+ * Body: { sourceId } or { source: <definition> }, plus optional
+ * { url } to fetch instead of the source's URL, or { content } with saved
+ * HTML/XML to parse instead of fetching.
+ */
+router.post(
+  "/sources/test",
+  validate(schemas.testSource),
+  asyncHandler(async (req, res) => {
+    const { sourceId, url, content } = req.body;
+
+    const source =
+      sourceId !== undefined
+        ? await findSource(sourceId)
+        : withDefaults(req.body.source);
+
+    const result = await testSource(source, { url, content });
+    req.log.info(
+      `🧪 Tested source ${source.id}: ${result.count} articles${
+        result.error ? ` (${result.error})` : ""
+      }`
+    );
+
+    res.json({
+      success: true,
+      source,
+      result,
+    });
+  })
+);
+
+/**
+ * GET /api/admin/sources/:sourceId
+ * Get one source with its fetch stats
+ */
+router.get(
+  "/sources/:sourceId",
+  validate(schemas.getSource),
+  asyncHandler(async (req, res) => {
+    const source = await findSource(req.params.sourceId);
+
+    res.json({
+      success: true,
+      source: await withStats(source),
+    });
+  })
+);
+
+/**
+ * PATCH /api/admin/sources/:sourceId
+ * Update a source; e.g. { "enabled": false } disables it
+ */
+router.patch(
+  "/sources/:sourceId",
+  validate(schemas.updateSource),
+  asyncHandler(async (req, res) => {
+    const changes = req.body;
+
+    if (changes.id !== undefined && changes.id !== req.params.sourceId) {
+      throw new ValidationError("Invalid source", [
+        { field: "body.id", message: "A source's id can't be changed" },
+      ]);
+    }
+
+    const result = await updateSource(req.params.sourceId, changes);
+
+    if (!result) {
+      throw new NotFoundError("Source not found", { code: "SOURCE_NOT_FOUND" });
+    }
+
+    if (result.errors) {
+      throw new ValidationError(
+        "Invalid source",
+        detailsFromMessages(result.errors, "body")
+      );
+    }
+
+    req.log.info(`🗂️  Updated source ${req.params.sourceId}`);
+    res.json({
+      success: true,
+      source: result.source,
+    });
+  })
+);
+
+/**
+ * DELETE /api/admin/sources/:sourceId
+ * Delete a source and its stats. Articles already stored are kept.
+ */
+router.delete(
+  "/sources/:sourceId",
+  validate(schemas.deleteSource),
+  asyncHandler(async (req, res) => {
+    const deleted = await deleteSource(req.params.sourceId);
+
+    if (!deleted) {
+      throw new NotFoundError("Source not found", { code: "SOURCE_NOT_FOUND" });
+    }
+
+    req.log.info(`🗑️  Deleted source ${req.params.sourceId}`);
+    res.json({
+      success: true,
+      deleted,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/sources/:sourceId/ingest
+ * Fetch and store one source now, even if it is disabled
+ */
+router.post(
+  "/sources/:sourceId/ingest",
+  validate(schemas.ingestSource),
+  asyncHandler(async (req, res) => {
+    const source = await findSource(req.params.sourceId);
+    const ingestion = await ingestSource(source);
+
+    if (!ingestion) {
+      throw new ConflictError(
+        "A refresh is already running, try again shortly",
+        { code: "REFRESH_IN_PROGRESS" }
+      );
+    }
+
+    res.json({
+      success: true,
+      ingestion,
+      source: await withStats(source),
+    });
+  })
+);
+
+// ============ API KEY ROUTES ============
+
+/**
+ * POST /api/admin/keys
+ * Create an API key. The plain key is only returned in this response.
+ * Body: { name, role?: "user" | "admin", rateLimit?: requests per window }
+ */
+router.post(
+  "/keys",
+  validate(schemas.createApiKey),
+  asyncHandler(async (req, res) => {
+    const { name, role, rateLimit } = req.body;
+
+    const apiKey = await createApiKey({ name, role, rateLimit });
+    req.log.info(`🔑 Created ${role} API key "${name}" (${apiKey.id})`);
+
+    res.status(201).json({
+      success: true,
+      apiKey,
+    });
+  })
+);
+
+/**
+ * GET /api/admin/keys
+ * List API keys (without the keys themselves)
+ */
+router.get(
+  "/keys",
+  validate(schemas.listApiKeys),
+  asyncHandler(async (req, res) => {
+    const apiKeys = await listApiKeys();
+
+    res.json({
+      success: true,
+      apiKeys,
+      count: apiKeys.length,
+    });
+  })
+);
+
+/**
+ * DELETE /api/admin/keys/:keyId
+ * Revoke an API key
+ */
+router.delete(
+  "/keys/:keyId",
+  validate(schemas.revokeApiKey),
+  asyncHandler(async (req, res) => {
+    const revoked = await revokeApiKey(req.params.keyId);
+
+    if (!revoked) {
+      throw new NotFoundError("API key not found", {
+        code: "API_KEY_NOT_FOUND",
+      });
+    }
+
+    req.log.info(`🔑 Revoked API key ${req.params.keyId}`);
+    res.json({
+      success: true,
+      revoked,
+    });
+  })
+);
+
+/**
+ * 404 handler
+ */
+router.use((req, res, next) => {
+  next(
+    new NotFoundError(`Endpoint not found: ${req.method} ${req.originalUrl}`, {
+      code: "ROUTE_NOT_FOUND",
+    })
+  );
+});
+
+export default router;
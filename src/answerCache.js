@@ -0,0 +1,161 @@
+import { v4 as uuidv4 } from "uuid";
+import { redisClient, qdrantClient, CONFIG } from "./config.js";
+import { embeddingProvider, embeddingSignature } from "./embeddings.js";
+import { logger } from "./logger.js";
+
+// Recent answers keyed by the question's embedding. A new question whose
+// embedding is at least ANSWER_CACHE_THRESHOLD similar to a cached one,
+// asked with the same retrieval and generation options, gets that answer
+// back without retrieval or a model call.
+//
+// Entries are points in a small Qdrant collection of their own,
+// <QDRANT_COLLECTION>_answers: the question's embedding as the vector and
+//   { version, scope, createdAt, query, answer, citations, sources }
+// as the payload, so a lookup is one filtered nearest-neighbour search and
+// no embeddings are shipped around. The corpus version lives in Redis:
+//   answercache:version  incremented whenever articles are added
+// An answer is stored under the version its question was looked up with,
+// so one built while an ingestion was running is never served from the
+// newer corpus. Bumping the version deletes every earlier entry.
+
+const VERSION_KEY = "answercache:version";
+const COLLECTION = `${CONFIG.QDRANT_COLLECTION}_answers`;
+
+const PAYLOAD_INDEXES = {
+  version: "integer",
+  scope: "keyword",
+  createdAt: "integer",
+};
+
+async function currentVersion() {
+  return parseInt((await redisClient.get(VERSION_KEY)) || "0", 10);
+}
+
+const expiredBefore = () => Date.now() - CONFIG.ANSWER_CACHE_TTL_SECONDS * 1000;
+
+/**
+ * Create the cache collection, or recreate it when it was built with
+ * another embedding provider. Its entries are disposable, so there is no
+ * reason to refuse to start the way the article collection does.
+ */
+export async function initializeAnswerCache() {
+  const { collections } = await qdrantClient.getCollections();
+  if (collections.some((c) => c.name === COLLECTION)) {
+    const info = await qdrantClient.getCollection(COLLECTION);
+    const stored = info.config?.metadata || {};
+    const expected = embeddingSignature();
+    if (Object.keys(expected).every((key) => stored[key] === expected[key])) {
+      return;
+    }
+    logger.warn(`⚠️  Answer cache built with other embeddings, recreating it`);
+    await qdrantClient.deleteCollection(COLLECTION);
+  }
+
+  await qdrantClient.createCollection(COLLECTION, {
+    vectors: { size: embeddingProvider.dimensions, distance: "Cosine" },
+    metadata: embeddingSignature(),
+  });
+  for (const [field, schema] of Object.entries(PAYLOAD_INDEXES)) {
+    await qdrantClient.createPayloadIndex(COLLECTION, {
+      field_name: field,
+      field_schema: schema,
+      wait: true,
+    });
+  }
+  logger.info(`✅ Answer cache collection '${COLLECTION}' created`);
+}
+
+/**
+ * Options that change the answer; only entries with the same scope match
+ */
+export function cacheScope({ retrievalMode, recency, filters, generation }) {
+  return JSON.stringify({
+    retrievalMode: retrievalMode || CONFIG.RETRIEVAL_MODE,
+    recency: recency ?? CONFIG.RECENCY_ENABLED,
+    filters: filters || null,
+    generation: generation || null,
+  });
+}
+
+/**
+ * Most similar fresh entry for `embedding` within `scope`. Returns
+ * { hit, version }: the entry (or null) and the corpus version it was
+ * looked up in, which a new answer must be stored under.
+ */
+export async function findCachedAnswer(embedding, scope) {
+  const version = await currentVersion();
+  const [match] = await qdrantClient.search(COLLECTION, {
+    vector: embedding,
+    limit: 1,
+    score_threshold: CONFIG.ANSWER_CACHE_THRESHOLD,
+    with_payload: true,
+    filter: {
+      must: [
+        { key: "version", match: { value: version } },
+        { key: "scope", match: { value: scope } },
+        { key: "createdAt", range: { gte: expiredBefore() } },
+      ],
+    },
+  });
+
+  return {
+    hit: match ? { ...match.payload, similarity: match.score } : null,
+    version,
+  };
+}
+
+/**
+ * Store an answer under the corpus `version` from findCachedAnswer.
+ * Skipped when the corpus has changed since, or once the version holds
+ * ANSWER_CACHE_MAX_ENTRIES entries. Expired entries are removed here.
+ */
+export async function cacheAnswer(query, embedding, scope, turn, version) {
+  if (version !== (await currentVersion())) return;
+
+  const versionFilter = {
+    must: [{ key: "version", match: { value: version } }],
+  };
+  const { count } = await qdrantClient.count(COLLECTION, {
+    filter: versionFilter,
+    exact: false,
+  });
+  if (count >= CONFIG.ANSWER_CACHE_MAX_ENTRIES) return;
+
+  await qdrantClient.upsert(COLLECTION, {
+    points: [
+      {
+        id: uuidv4(),
+        vector: embedding,
+        payload: {
+          version,
+          scope,
+          createdAt: Date.now(),
+          query,
+          answer: turn.answer,
+          citations: turn.citations,
+          sources: turn.sources,
+        },
+      },
+    ],
+  });
+  await qdrantClient.delete(COLLECTION, {
+    wait: false,
+    filter: {
+      must: [{ key: "createdAt", range: { lt: expiredBefore() } }],
+    },
+  });
+}
+
+/**
+ * Drop every cached answer. Call whenever the corpus changes.
+ */
+export async function invalidateAnswerCache() {
+  if (!CONFIG.ANSWER_CACHE_ENABLED) return;
+
+  const version = await redisClient.incr(VERSION_KEY);
+  await qdrantClient.delete(COLLECTION, {
+    wait: false,
+    filter: { must_not: [{ key: "version", match: { value: version } }] },
+  });
+  logger.info("🧹 Answer cache invalidated");
+}
@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import { redisClient, CONFIG } from "./config.js";
+import { ForbiddenError, UnauthorizedError } from "./errors.js";
+
+// API keys are stored hashed; the plain key is only returned once, on
+// creation.
+//   apikey:<sha256>   JSON { id, name, role, rateLimit, createdAt }
+//   apikeys           hash of key id -> sha256, for listing and revoking
+// ADMIN_API_KEY from the environment is always accepted as an admin key,
+// so the first keys can be created through the API.
+
+export const API_KEY_ROLES = ["user", "admin"];
+
+const KEY_PREFIX = "nck_";
+const INDEX_KEY = "apikeys";
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+const recordKey = (hash) => `apikey:${hash}`;
+
+function matchesAdminKey(key) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(hashKey(key), "hex"),
+    Buffer.from(hashKey(adminKey), "hex")
+  );
+}
+
+// ============ KEY STORE ============
+
+/**
+ * Create a key. Returns the stored record plus the plain `key`.
+ */
+export async function createApiKey({ name, role = "user", rateLimit = null }) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+  const hash = hashKey(key);
+  const record = {
+    id: uuidv4(),
+    name,
+    role,
+    rateLimit,
+    createdAt: Date.now(),
+  };
+
+  await redisClient
+    .multi()
+    .set(recordKey(hash), JSON.stringify(record))
+    .hSet(INDEX_KEY, record.id, hash)
+    .exec();
+  return { ...record, key };
+}
+
+export async function listApiKeys() {
+  const hashes = Object.values(await redisClient.hGetAll(INDEX_KEY));
+  if (hashes.length === 0) return [];
+
+  const records = await redisClient.mGet(hashes.map(recordKey));
+  return records
+    .filter(Boolean)
+    .map((json) => JSON.parse(json))
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Delete a key by id. Returns false if there was no such key.
+ */
+export async function revokeApiKey(id) {
+  const hash = await redisClient.hGet(INDEX_KEY, id);
+  if (!hash) return false;
+
+  await redisClient.multi().del(recordKey(hash)).hDel(INDEX_KEY, id).exec();
+  return true;
+}
+
+/**
+ * Look up the record for a plain key, or null if it isn't valid
+ */
+export async function findApiKey(key) {
+  if (matchesAdminKey(key)) {
+    return { id: "env-admin", name: "ADMIN_API_KEY", role: "admin" };
+  }
+  const json = await redisClient.get(recordKey(hashKey(key)));
+  return json ? JSON.parse(json) : null;
+}
+
+// ============ MIDDLEWARE ============
+
+/** Key from `Authorization: Bearer <key>` or `X-API-Key: <key>` */
+function keyFromRequest(req) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme?.toLowerCase() === "bearer" && token) return token.trim();
+  return req.get("X-API-Key")?.trim() || null;
+}
+
+/**
+ * Reject requests without a valid API key and attach the key record as
+ * `req.apiKey`. A no-op when AUTH_ENABLED is off.
+ */
+export async function authenticate(req, res, next) {
+  if (!CONFIG.AUTH_ENABLED) return next();
+
+  const key = keyFromRequest(req);
+  if (!key) {
+    res.set("WWW-Authenticate", 'Bearer realm="api"');
+    return next(
+      new UnauthorizedError("API key required", { code: "API_KEY_REQUIRED" })
+    );
+  }
+
+  try {
+    const apiKey = await findApiKey(key);
+    if (!apiKey) {
+      res.set("WWW-Authenticate", 'Bearer realm="api", error="invalid_token"');
+      return next(
+        new UnauthorizedError("Invalid API key", { code: "INVALID_API_KEY" })
+      );
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    req.log.error("❌ Error checking API key", { error });
+    next(error);
+  }
+}
+
+/**
+ * Allow only admin keys. Must run after `authenticate`.
+ */
+export function requireAdmin(req, res, next) {
+  if (!CONFIG.AUTH_ENABLED || req.apiKey?.role === "admin") return next();
+
+  next(new ForbiddenError("Admin API key required"));
+}
+
+/**
+ * Id of the API key whose own sessions `req` is limited to, or null when
+ * it may reach every session (admin keys, or AUTH_ENABLED off)
+ */
+export function sessionScope(req) {
+  if (!CONFIG.AUTH_ENABLED || req.apiKey?.role === "admin") return null;
+  return req.apiKey.id;
+}
@@ -0,0 +1,65 @@
+import { v5 as uuidv5 } from "uuid";
+import { CONFIG } from "./config.js";
+
+// Boundaries to prefer when cutting a chunk, best first
+const BREAKS = ["\n\n", ". ", "\n", " "];
+
+/**
+ * Split text into passages of at most `size` characters, each starting
+ * `overlap` characters before the previous one ended. Cuts land on
+ * paragraph, sentence or word boundaries when one exists in the second
+ * half of the window.
+ */
+export function chunkText(
+  text,
+  { size = CONFIG.CHUNK_SIZE, overlap = CONFIG.CHUNK_OVERLAP } = {}
+) {
+  if (overlap >= size) {
+    throw new Error("Chunk overlap must be smaller than chunk size");
+  }
+
+  const clean = (text || "").replace(/[ \t]+/g, " ").trim();
+  if (clean.length <= size) return clean ? [clean] : [];
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < clean.length) {
+    let end = Math.min(start + size, clean.length);
+
+    if (end < clean.length) {
+      const window = clean.slice(start, end);
+      const breakAt = BREAKS.map((sep) => window.lastIndexOf(sep)).find(
+        (i) => i >= size / 2
+      );
+      if (breakAt !== undefined) end = start + breakAt + 1;
+    }
+
+    chunks.push(clean.slice(start, end).trim());
+    if (end >= clean.length) break;
+
+    // Step back for the overlap, then forward to the next word start
+    let next = end - overlap;
+    const space = clean.indexOf(" ", next);
+    if (space !== -1 && space < end) next = space + 1;
+    start = Math.max(next, start + 1);
+  }
+
+  return chunks.filter(Boolean);
+}
+
+/**
+ * Split an article into passages ready for embedding. Each passage gets a
+ * deterministic point ID derived from its parent article ID and position.
+ */
+export function chunkArticle(article) {
+  const passages = chunkText(article.fullText);
+
+  return passages.map((text, index) => ({
+    id: uuidv5(`${article.id}#${index}`, uuidv5.URL),
+    articleId: article.id,
+    chunkIndex: index,
+    chunkCount: passages.length,
+    text,
+  }));
+}
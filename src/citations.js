@@ -0,0 +1,108 @@
+// Inline citation markers in generated answers look like "[2]", "[1, 3]" or
+// "[Source 2]". They refer to the 1-based source numbers in the prompt.
+const MARKER_PATTERN =
+  /\s?\[(?:sources?\s*)?(\d+(?:\s*,\s*(?:sources?\s*)?\d+)*)\]/gi;
+
+// Sentence-ending punctuation, with any closing quotes or brackets, before
+// whitespace or the end of the line. "2.0" and "example.com" never match.
+const SENTENCE_END = /[.!?]+["')\]”’]*(?=\s|$)/gu;
+
+// Words whose trailing period doesn't end a sentence ("Mr. Smith")
+const ABBREVIATIONS = new Set(
+  (
+    "mr mrs ms dr prof sr jr st gen gov sen rep vs inc ltd co corp fig " +
+    "approx e.g i.e u.s u.k jan feb mar apr jun jul aug sep sept oct nov dec"
+  ).split(" ")
+);
+
+/**
+ * Whether the punctuation at `end` closes a sentence. "!" and "?" always
+ * do; a period only when the next sentence starts with a capital letter
+ * (or the line ends) and it doesn't follow an abbreviation or an initial.
+ */
+function endsSentence(line, start, match, end) {
+  if (/[!?]/.test(match[0])) return true;
+
+  const rest = line.slice(end);
+  if (rest.trim() && !/^\s+["'“‘(*_[]*\p{Lu}/u.test(rest)) return false;
+
+  const word = line
+    .slice(start, match.index)
+    .match(/[\p{L}.]+$/u)?.[0]
+    .toLowerCase();
+  return !word || !(ABBREVIATIONS.has(word) || /^\p{L}$/u.test(word));
+}
+
+function splitLine(line) {
+  const sentences = [];
+  let start = 0;
+  for (const match of line.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    if (end <= start || !endsSentence(line, start, match, end)) continue;
+
+    const next = end + line.slice(end).match(/^\s*/)[0].length;
+    sentences.push(line.slice(start, next));
+    start = next;
+  }
+  if (start < line.length) sentences.push(line.slice(start));
+  return sentences;
+}
+
+// List items and headings are separate lines, so split on those first
+function splitSentences(paragraph) {
+  return paragraph
+    .split("\n")
+    .flatMap(splitLine)
+    .filter((sentence) => sentence.trim());
+}
+
+function parseMarker(group) {
+  return group.match(/\d+/g).map(Number);
+}
+
+/**
+ * Check and structure the citations in an answer.
+ *
+ * Markers pointing at sources outside 1..sourceCount are removed from the
+ * text (valid numbers in the same marker are kept). Returns the cleaned
+ * answer, one citation entry per sentence that cites something, and the
+ * cited source numbers in order of first use.
+ */
+export function resolveCitations(answer, sourceCount) {
+  const isValid = (n) => Number.isInteger(n) && n >= 1 && n <= sourceCount;
+  let removed = 0;
+
+  const cleaned = answer.replace(MARKER_PATTERN, (marker, group) => {
+    const numbers = parseMarker(group);
+    const valid = [...new Set(numbers.filter(isValid))];
+    removed += numbers.length - valid.length;
+    if (valid.length === 0) return "";
+    const leading = marker.startsWith(" ") ? " " : "";
+    return `${leading}[${valid.join(", ")}]`;
+  });
+
+  const citations = [];
+  const cited = [];
+
+  cleaned.split(/\n\s*\n/).forEach((paragraph, paragraphIndex) => {
+    splitSentences(paragraph).forEach((sentence, sentenceIndex) => {
+      const sources = [];
+      for (const match of sentence.matchAll(MARKER_PATTERN)) {
+        parseMarker(match[1]).forEach((n) => {
+          if (!sources.includes(n)) sources.push(n);
+          if (!cited.includes(n)) cited.push(n);
+        });
+      }
+      if (sources.length === 0) return;
+
+      citations.push({
+        paragraph: paragraphIndex,
+        sentence: sentenceIndex,
+        text: sentence.replace(MARKER_PATTERN, "").trim(),
+        sources,
+      });
+    });
+  });
+
+  return { answer: cleaned, citations, cited, removed };
+}
@@ -1,14 +1,14 @@
 import { createClient } from "redis";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { QdrantClient } from "@qdrant/js-client-rest";
 import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { logger } from "./logger.js";
 
 dotenv.config();
 
 // ============ REDIS CONFIGURATION ============
-console.log(
-  "🔍 Redis URL from env:",
-  process.env.REDIS_URL ? "Found" : "Not found"
+logger.info(
+  `🔍 Redis URL from env: ${process.env.REDIS_URL ? "Found" : "Not found"}`
 );
 
 export const redisClient = createClient({
@@ -16,10 +16,10 @@ export const redisClient = createClient({
   socket: {
     reconnectStrategy: (retries) => {
       if (retries > 10) {
-        console.error("Max reconnection attempts reached");
+        logger.error("Max reconnection attempts reached");
         return new Error("Redis connection failed");
       }
-      console.log(`Reconnecting to Redis... attempt ${retries}`);
+      logger.warn(`Reconnecting to Redis... attempt ${retries}`);
       return retries * 100;
     },
     connectTimeout: 10000,
@@ -27,22 +27,21 @@ export const redisClient = createClient({
 });
 
 redisClient.on("error", (err) =>
-  console.error("❌ Redis Client Error:", err.message)
+  logger.error("❌ Redis Client Error", { error: err.message })
 );
-redisClient.on("connect", () => console.log("✅ Redis connected"));
-redisClient.on("ready", () => console.log("✅ Redis ready to use"));
+redisClient.on("connect", () => logger.info("✅ Redis connected"));
+redisClient.on("ready", () => logger.info("✅ Redis ready to use"));
 
 export async function connectRedis() {
   try {
-    console.log("Attempting to connect to Redis...");
-    console.log(
-      "Using URL:",
-      process.env.REDIS_URL ? "Cloud Redis" : "localhost:6379"
+    logger.info("Attempting to connect to Redis...");
+    logger.info(
+      `Using URL: ${process.env.REDIS_URL ? "Cloud Redis" : "localhost:6379"}`
     );
     await redisClient.connect();
-    console.log("✅ Redis client ready");
+    logger.info("✅ Redis client ready");
   } catch (error) {
-    console.error("❌ Failed to connect to Redis:", error.message);
+    logger.error("❌ Failed to connect to Redis", { error: error.message });
     throw error;
   }
 }
@@ -53,71 +52,143 @@ export const qdrantClient = new QdrantClient({
   apiKey: process.env.QDRANT_API_KEY,
 });
 
-// ============ GEMINI AI CONFIGURATION ============
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-export const geminiModel = genAI.getGenerativeModel({
-  model: "gemini-2.5-flash",
-  generationConfig: {
+// ============ APP CONFIGURATION ============
+export const CONFIG = {
+  PORT: process.env.PORT || 5000,
+  // Idle timeout in seconds; every message pushes expiry back by this much
+  SESSION_TTL: parseInt(process.env.SESSION_TTL_SECONDS || "3600", 10),
+  TOP_K_RESULTS: 20,
+
+  // API keys (see src/auth.js); set AUTH_ENABLED=false for local development
+  AUTH_ENABLED: process.env.AUTH_ENABLED !== "false",
+  // Browser origins allowed by CORS: FRONTEND_URL as a comma-separated
+  // list, or "*" for any. Required when AUTH_ENABLED is on.
+  CORS_ORIGINS: (process.env.FRONTEND_URL || "")
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/+$/, ""))
+    .filter(Boolean),
+  // Sliding-window rate limits, in requests per window
+  RATE_LIMIT_WINDOW_SECONDS: parseInt(
+    process.env.RATE_LIMIT_WINDOW_SECONDS || "60",
+    10
+  ),
+  RATE_LIMIT_PER_KEY: parseInt(process.env.RATE_LIMIT_PER_KEY || "60", 10),
+  RATE_LIMIT_PER_IP: parseInt(process.env.RATE_LIMIT_PER_IP || "120", 10),
+  MAX_ARTICLES: 100,
+
+  // Chat model: "gemini", "openai" (any OpenAI-compatible server) or "mock"
+  LLM_PROVIDER: process.env.LLM_PROVIDER || "gemini",
+  LLM_MODEL: process.env.LLM_MODEL, // provider default when unset
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || "http://localhost:11434/v1",
+  // top_k isn't part of the OpenAI API (OpenAI itself rejects it); only
+  // llama.cpp, Ollama and the like accept it
+  OPENAI_SEND_TOP_K: process.env.OPENAI_SEND_TOP_K === "true",
+  // Rewrite follow-up questions into standalone search queries
+  QUERY_REWRITE_ENABLED: process.env.QUERY_REWRITE_ENABLED !== "false",
+  QUERY_REWRITE_HISTORY: 6, // messages of context for the rewrite
+  // Semantic answer cache for questions asked without prior conversation
+  ANSWER_CACHE_ENABLED: process.env.ANSWER_CACHE_ENABLED !== "false",
+  ANSWER_CACHE_THRESHOLD: parseFloat(
+    process.env.ANSWER_CACHE_THRESHOLD || "0.95"
+  ),
+  ANSWER_CACHE_TTL_SECONDS: parseInt(
+    process.env.ANSWER_CACHE_TTL_SECONDS || "600",
+    10
+  ),
+  ANSWER_CACHE_MAX_ENTRIES: 500,
+  // Prompt assembly, in estimated tokens (~4 chars each)
+  PROMPT_TOKEN_BUDGET: parseInt(process.env.PROMPT_TOKEN_BUDGET || "8000", 10),
+  PROMPT_HISTORY_MESSAGES: 6, // most recent messages included verbatim
+  PROMPT_HISTORY_SHARE: 0.25, // max share of the budget for history
+  // Older turns are rolled up into a running summary on the session
+  HISTORY_MAX_MESSAGES: 20,
+  HISTORY_KEEP_MESSAGES: 10,
+  SUMMARY_MAX_WORDS: 200,
+  // Defaults, overridable per request
+  GENERATION_CONFIG: {
     temperature: 0.7,
     topK: 40,
     topP: 0.95,
     maxOutputTokens: 2048,
   },
-});
+  // Give up on an LLM call (answer, rewrite or summary) after this long
+  LLM_TIMEOUT_MS: parseInt(process.env.LLM_TIMEOUT_MS || "60000", 10),
+  // Give up on an embedding request (query or ingestion batch) after this long
+  EMBEDDING_TIMEOUT_MS: parseInt(
+    process.env.EMBEDDING_TIMEOUT_MS || "30000",
+    10
+  ),
 
-// ============ APP CONFIGURATION ============
-export const CONFIG = {
-  PORT: process.env.PORT || 5000,
-  SESSION_TTL: 3600, // 1 hour
-  TOP_K_RESULTS: 20,
-  MAX_ARTICLES: 100,
+  // Wait between startup attempts while Redis or Qdrant are unreachable
+  INIT_RETRY_SECONDS: parseInt(process.env.INIT_RETRY_SECONDS || "15", 10),
 
-  // RSS Feeds
-  NEWS_FEEDS: [
-    "https://rss.nytimes.com/services/xml/rss/nyt/World.xml",
-    "https://rss.nytimes.com/services/xml/rss/nyt/Technology.xml",
-    "https://rss.nytimes.com/services/xml/rss/nyt/Business.xml",
-    "http://feeds.bbci.co.uk/news/world/rss.xml",
-    "http://feeds.bbci.co.uk/news/technology/rss.xml",
-  ],
-
-  // Web Scraping Sites
-  SCRAPE_SITES: [
-    {
-      name: "The Guardian",
-      url: "https://www.theguardian.com/international",
-      selector: {
-        article: "[data-component='Card']",
-        title: "[data-link-name='article'] h3, [data-link-name='article'] span",
-        description: "[data-link-name='article'] p",
-        link: "[data-link-name='article']",
-      },
-    },
-    {
-      name: "TechCrunch",
-      url: "https://techcrunch.com",
-      selector: {
-        article: "article.post-block",
-        title: ".post-block__title",
-        description: ".post-block__content",
-        link: ".post-block__title__link",
-      },
-    },
-    {
-      name: "Reuters",
-      url: "https://www.reuters.com/world/",
-      selector: {
-        article: "[data-testid='MediaStoryCard']",
-        title: "h3",
-        description: "p",
-        link: "a",
-      },
-    },
-  ],
+  // Dependency probes behind /api/health/ready
+  HEALTH_CHECK_TIMEOUT_MS: parseInt(
+    process.env.HEALTH_CHECK_TIMEOUT_MS || "3000",
+    10
+  ),
+  HEALTH_CHECK_CACHE_MS: 10000,
+  EMBEDDINGS_HEALTH_CHECK_CACHE_MS: parseInt(
+    process.env.EMBEDDINGS_HEALTH_CHECK_CACHE_MS || "600000",
+    10
+  ),
+
+  // Prometheus metrics on GET /metrics
+  METRICS_ENABLED: process.env.METRICS_ENABLED !== "false",
+
+  // Check JSON responses against their schemas (src/schemas.js) and log
+  // mismatches; on by default outside production
+  VALIDATE_RESPONSES: process.env.VALIDATE_RESPONSES
+    ? process.env.VALIDATE_RESPONSES === "true"
+    : process.env.NODE_ENV !== "production",
 
+  // Background re-ingestion interval; 0 disables it
+  REFRESH_INTERVAL_MINUTES: parseInt(
+    process.env.REFRESH_INTERVAL_MINUTES ?? "30",
+    10
+  ),
+
+  // RSS feeds and scrape sites, validated on load (see src/sources.js)
+  SOURCES_FILE:
+    process.env.SOURCES_FILE ||
+    fileURLToPath(new URL("../sources.json", import.meta.url)),
+  // Flag a source unhealthy after this many runs in a row without articles
+  SOURCE_UNHEALTHY_AFTER: 3,
+
+  // Embeddings: "jina" or "local" (offline feature hashing)
+  EMBEDDING_PROVIDER:
+    process.env.EMBEDDING_PROVIDER ||
+    (process.env.JINA_API_KEY ? "jina" : "local"),
+  EMBEDDING_REINDEX_ON_MISMATCH:
+    process.env.EMBEDDING_REINDEX_ON_MISMATCH === "true",
   JINA_API_URL: "https://api.jina.ai/v1/embeddings",
   JINA_MODEL: "jina-embeddings-v2-base-en",
   BATCH_SIZE: 10,
   QDRANT_COLLECTION: process.env.QDRANT_COLLECTION || "news_articles",
   VECTOR_SIZE: 768,
+
+  // Full-article text extraction (fetches every new article's page)
+  EXTRACT_FULL_TEXT: process.env.EXTRACT_FULL_TEXT === "true",
+  EXTRACTION_TIMEOUT_MS: 10000,
+  EXTRACTION_CONCURRENCY_PER_DOMAIN: 2,
+  EXTRACTION_MAX_CHARS: 20000,
+
+  // Passage chunking (characters)
+  CHUNK_SIZE: parseInt(process.env.CHUNK_SIZE || "1500", 10),
+  CHUNK_OVERLAP: parseInt(process.env.CHUNK_OVERLAP || "200", 10),
+  // Default retrieval: "vector", "keyword" (BM25) or "hybrid" (fused)
+  RETRIEVAL_MODE: process.env.RETRIEVAL_MODE || "hybrid",
+  // Recency boost: score * (1 - weight + weight * 0.5^(age / half-life))
+  RECENCY_ENABLED: process.env.RECENCY_ENABLED !== "false",
+  RECENCY_HALF_LIFE_HOURS: parseFloat(
+    process.env.RECENCY_HALF_LIFE_HOURS || "48"
+  ),
+  RECENCY_WEIGHT: parseFloat(process.env.RECENCY_WEIGHT || "0.3"),
+  // Max matched passages per article passed to the prompt
+  PASSAGES_PER_ARTICLE: 3,
+
+  // Titles with at least this word overlap (Jaccard) are treated as one story
+  TITLE_SIMILARITY_THRESHOLD: 0.8,
+  // ...and only when published this close together
+  NEAR_DUPLICATE_WINDOW_HOURS: 48,
 };
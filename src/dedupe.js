@@ -0,0 +1,173 @@
+import { v5 as uuidv5 } from "uuid";
+import { CONFIG } from "./config.js";
+
+// ============ URL CANONICALIZATION ============
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^at_/i, // BBC
+  /^mc_(cid|eid)$/i,
+  /^(fbclid|gclid|dclid|msclkid|yclid)$/i,
+  /^(smid|smtyp|partner|cmp|ocid|ref|ref_src|src|feature|guccounter)$/i,
+];
+
+/**
+ * Normalize an article URL so the same story always maps to the same string:
+ * https scheme, lowercase host without "www.", no fragment, no tracking
+ * params, sorted query string and no trailing slash.
+ */
+export function canonicalizeUrl(link) {
+  try {
+    const url = new URL(link.trim());
+    const host = url.hostname.toLowerCase().replace(/^www\./, "");
+    const port =
+      url.port && !["80", "443"].includes(url.port) ? `:${url.port}` : "";
+
+    for (const key of [...url.searchParams.keys()]) {
+      if (TRACKING_PARAMS.some((pattern) => pattern.test(key))) {
+        url.searchParams.delete(key);
+      }
+    }
+    url.searchParams.sort();
+
+    const path = url.pathname.replace(/\/+$/, "");
+    return `https://${host}${port}${path}${url.search}`;
+  } catch (error) {
+    return link.trim();
+  }
+}
+
+/**
+ * Deterministic Qdrant point ID (UUID v5) for an article link
+ */
+export function articleIdFor(link) {
+  return uuidv5(canonicalizeUrl(link), uuidv5.URL);
+}
+
+// ============ NEAR-DUPLICATE DETECTION ============
+const hasDigit = (word) => /\d/.test(word);
+
+/**
+ * Lowercase title words. Short words are dropped as noise, except numbers:
+ * dates, scores and versions are what tell recurring headlines apart.
+ */
+export function titleTokens(title) {
+  const words = (title || "").toLowerCase().match(/\b\w+\b/g) || [];
+  return new Set(words.filter((word) => word.length > 2 || hasDigit(word)));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// "Corrections: October 18" and "Corrections: October 19" are different
+// stories however similar the rest of the title is
+function sameNumbers(a, b) {
+  const numbers = (tokens) => [...tokens].filter(hasDigit).sort().join(" ");
+  return numbers(a) === numbers(b);
+}
+
+/** Publication time in ms, or null when unknown */
+function publishedAt(article) {
+  if (article.pubTimestamp !== undefined && article.pubTimestamp !== null) {
+    return article.pubTimestamp;
+  }
+  const timestamp = Date.parse(article.pubDate);
+  return isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Find the first candidate that reports the same story as `article`: a
+ * title close enough to its own, with the same numbers, published within
+ * NEAR_DUPLICATE_WINDOW_HOURS of it. Articles without a known date are
+ * never matched by title. Candidates may carry precomputed `titleTokens`
+ * to avoid re-tokenizing.
+ */
+export function findNearDuplicate(
+  article,
+  candidates,
+  threshold = CONFIG.TITLE_SIMILARITY_THRESHOLD
+) {
+  const published = publishedAt(article);
+  if (published === null) return null;
+
+  const windowMs = CONFIG.NEAR_DUPLICATE_WINDOW_HOURS * 3600000;
+  const tokens = titleTokens(article.title);
+  for (const candidate of candidates) {
+    const candidatePublished = publishedAt(candidate);
+    if (
+      candidatePublished === null ||
+      Math.abs(published - candidatePublished) > windowMs
+    ) {
+      continue;
+    }
+
+    const candidateTokens =
+      candidate.titleTokens || titleTokens(candidate.title);
+    if (
+      jaccard(tokens, candidateTokens) >= threshold &&
+      sameNumbers(tokens, candidateTokens)
+    ) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// ============ MERGING ============
+function sourceRef(article) {
+  return {
+    name: article.source,
+    feed: article.feed,
+    link: article.link,
+  };
+}
+
+/**
+ * Record every source of `article` on `target`. Returns true if any new
+ * source was added.
+ */
+export function mergeSources(target, article) {
+  const incoming = article.sources || [sourceRef(article)];
+  target.sources = target.sources || [];
+  let changed = false;
+
+  for (const ref of incoming) {
+    const known = target.sources.some(
+      (s) => s.feed === ref.feed && s.link === ref.link
+    );
+    if (!known) {
+      target.sources.push(ref);
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Collapse articles with the same canonical URL or a near-identical title
+ * into one entry that lists every source it was seen in.
+ */
+export function dedupeArticles(articles) {
+  const merged = [];
+  const byId = new Map();
+
+  for (const article of articles) {
+    const existing = byId.get(article.id) || findNearDuplicate(article, merged);
+
+    if (existing) {
+      mergeSources(existing, article);
+      continue;
+    }
+
+    const entry = { ...article, sources: [sourceRef(article)] };
+    merged.push(entry);
+    byId.set(entry.id, entry);
+  }
+
+  return merged;
+}
@@ -0,0 +1,190 @@
+import fetch from "node-fetch";
+import { CONFIG } from "./config.js";
+import { UpstreamTimeoutError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// Every provider exposes the same shape:
+//   { name, model, dimensions,
+//     embed(texts, { signal }) => Promise<number[][]>,
+//     check({ signal }) => Promise<void> }
+// `check` is the reachability probe for health checks; it throws when the
+// provider can't be used. Each embed call gets EMBEDDING_TIMEOUT_MS
+// (see withTimeout).
+// Vectors from different providers live in different spaces, so the
+// provider/model pair is recorded on the Qdrant collection (see
+// embeddingSignature) and checked before any vectors are written.
+
+// ============ JINA PROVIDER ============
+function createJinaProvider() {
+  return {
+    name: "jina",
+    model: CONFIG.JINA_MODEL,
+    dimensions: CONFIG.VECTOR_SIZE,
+
+    async embed(texts, { signal } = {}) {
+      if (!process.env.JINA_API_KEY) {
+        throw new Error("JINA_API_KEY is not set");
+      }
+
+      const processedTexts = texts.map((text) => text.slice(0, 8000));
+      logger.info(`  📊 Calling Jina API for ${texts.length} texts...`);
+
+      const response = await fetch(CONFIG.JINA_API_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${process.env.JINA_API_KEY}`,
+        },
+        body: JSON.stringify({
+          input: processedTexts,
+          model: CONFIG.JINA_MODEL,
+        }),
+        signal,
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Jina API error ${response.status}: ${errorText}`);
+      }
+
+      const data = await response.json();
+      logger.info(`  ✅ Received ${data.data.length} embeddings from Jina`);
+      return data.data.map((item) => item.embedding);
+    },
+
+    // Jina has no free endpoint that checks the key and model, so this is a
+    // real (one-token) embedding; health.js caches a passing result for
+    // EMBEDDINGS_HEALTH_CHECK_CACHE_MS to keep probes from spending quota
+    async check({ signal } = {}) {
+      const [vector] = await this.embed(["ping"], { signal });
+      if (vector?.length !== this.dimensions) {
+        throw new Error(
+          `Expected ${this.dimensions} dimensions, got ${vector?.length}`
+        );
+      }
+    },
+  };
+}
+
+// ============ LOCAL PROVIDER ============
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by for from has have he her his in is it its " +
+    "of on or that the their they this to was were will with which who would " +
+    "said says after over into about than then there these those been not"
+  ).split(" ")
+);
+
+// 32-bit FNV-1a
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic offline embedding: unigrams and bigrams are hashed into a
+ * fixed number of buckets (signed, to cancel out collisions), weighted by
+ * sublinear term frequency and L2-normalized so cosine similarity works.
+ */
+export function hashEmbedding(text, dimensions = CONFIG.VECTOR_SIZE) {
+  const words = (text.toLowerCase().match(/\b\w+\b/g) || []).filter(
+    (word) => word.length > 1 && !STOPWORDS.has(word)
+  );
+
+  const counts = new Map();
+  words.forEach((word, i) => {
+    counts.set(word, (counts.get(word) || 0) + 1);
+    if (i > 0) {
+      const bigram = `${words[i - 1]} ${word}`;
+      counts.set(bigram, (counts.get(bigram) || 0) + 0.5);
+    }
+  });
+
+  const vector = new Array(dimensions).fill(0);
+  for (const [feature, count] of counts) {
+    const hash = hashString(feature);
+    const sign = hashString(`#${feature}`) & 1 ? 1 : -1;
+    vector[hash % dimensions] += sign * (1 + Math.log(1 + count));
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map((v) => v / norm) : vector;
+}
+
+function createLocalProvider() {
+  return {
+    name: "local",
+    model: "feature-hashing-v1",
+    dimensions: CONFIG.VECTOR_SIZE,
+
+    async embed(texts) {
+      return texts.map((text) => hashEmbedding(text, this.dimensions));
+    },
+
+    async check() {},
+  };
+}
+
+// ============ TIMEOUTS ============
+
+/**
+ * Give every embed call EMBEDDING_TIMEOUT_MS. Running out of time throws an
+ * UpstreamTimeoutError; other failures (and the caller's own abort) are
+ * passed through unchanged.
+ */
+function withTimeout(provider) {
+  return {
+    ...provider,
+
+    async embed(texts, options = {}) {
+      const timeout = AbortSignal.timeout(CONFIG.EMBEDDING_TIMEOUT_MS);
+      const signal = options.signal
+        ? AbortSignal.any([options.signal, timeout])
+        : timeout;
+      try {
+        return await provider.embed(texts, { ...options, signal });
+      } catch (error) {
+        if (options.signal?.aborted || !timeout.aborted) throw error;
+        throw new UpstreamTimeoutError(
+          `The embedding provider didn't answer within ${CONFIG.EMBEDDING_TIMEOUT_MS}ms`,
+          { code: "EMBEDDING_TIMEOUT", cause: error }
+        );
+      }
+    },
+  };
+}
+
+// ============ PROVIDER REGISTRY ============
+const PROVIDERS = {
+  jina: createJinaProvider,
+  local: createLocalProvider,
+};
+
+export function createEmbeddingProvider(name = CONFIG.EMBEDDING_PROVIDER) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown embedding provider "${name}" (expected one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")})`
+    );
+  }
+  return withTimeout(factory());
+}
+
+export const embeddingProvider = createEmbeddingProvider();
+
+/**
+ * Identifies the vector space a collection was built with
+ */
+export function embeddingSignature(provider = embeddingProvider) {
+  return {
+    embeddingProvider: provider.name,
+    embeddingModel: provider.model,
+    vectorSize: provider.dimensions,
+  };
+}
@@ -0,0 +1,130 @@
+// Application errors. Each carries an HTTP `status` and a stable `code`
+// that clients can branch on; the global handler in server.js turns them
+// into
+//   { success: false, error, code, details?, requestId }
+// Anything that isn't an AppError is reported as a 500 INTERNAL_ERROR
+// without its message, so internal failures never leak to clients.
+
+export class AppError extends Error {
+  constructor(
+    message,
+    { status = 500, code = "INTERNAL_ERROR", details, retryAfter, cause } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+    if (retryAfter !== undefined) this.retryAfter = retryAfter;
+  }
+}
+
+/** 400; `details` is a list of { field, message } */
+export class ValidationError extends AppError {
+  constructor(message = "Invalid request", details = [], options = {}) {
+    super(message, {
+      status: 400,
+      code: "VALIDATION_FAILED",
+      details,
+      ...options,
+    });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "API key required", options = {}) {
+    super(message, { status: 401, code: "UNAUTHORIZED", ...options });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Forbidden", options = {}) {
+    super(message, { status: 403, code: "FORBIDDEN", ...options });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", options = {}) {
+    super(message, { status: 404, code: "NOT_FOUND", ...options });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 409, code: "CONFLICT", ...options });
+  }
+}
+
+/** 429; `retryAfter` in seconds is sent as Retry-After */
+export class RateLimitError extends AppError {
+  constructor(retryAfter, options = {}) {
+    super("Too many requests", {
+      status: 429,
+      code: "RATE_LIMITED",
+      retryAfter,
+      ...options,
+    });
+  }
+}
+
+/** 503; `retryAfter` in seconds is sent as Retry-After */
+export class ServiceUnavailableError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 503, code: "SERVICE_UNAVAILABLE", ...options });
+  }
+}
+
+/** 502: an upstream service (LLM, embeddings, Qdrant) failed */
+export class UpstreamError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 502, code: "UPSTREAM_ERROR", ...options });
+  }
+}
+
+/** 504: an upstream service didn't answer in time */
+export class UpstreamTimeoutError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 504, code: "UPSTREAM_TIMEOUT", ...options });
+  }
+}
+
+/**
+ * Status, headers and JSON body for any thrown error. Errors from
+ * Express's body parser (malformed JSON, oversized bodies) keep their
+ * status.
+ */
+export function errorResponse(error, requestId) {
+  let appError = error;
+  if (!(error instanceof AppError)) {
+    if (error.type === "entity.parse.failed") {
+      appError = new ValidationError("Request body is not valid JSON", [], {
+        code: "INVALID_JSON",
+      });
+    } else if (error.type === "entity.too.large") {
+      appError = new AppError("Request body is too large", {
+        status: 413,
+        code: "PAYLOAD_TOO_LARGE",
+      });
+    } else {
+      appError = new AppError("Internal server error");
+    }
+  }
+
+  return {
+    status: appError.status,
+    headers:
+      appError.retryAfter !== undefined
+        ? { "Retry-After": String(appError.retryAfter) }
+        : {},
+    body: {
+      success: false,
+      error: appError.message,
+      code: appError.code,
+      ...(appError.details !== undefined && { details: appError.details }),
+      ...(appError.retryAfter !== undefined && {
+        retryAfter: appError.retryAfter,
+      }),
+      requestId,
+    },
+  };
+}
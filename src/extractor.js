@@ -0,0 +1,207 @@
+import fetch from "node-fetch";
+import * as cheerio from "cheerio";
+import { CONFIG } from "./config.js";
+import { logger } from "./logger.js";
+
+// ============ BOILERPLATE REMOVAL ============
+const BOILERPLATE_SELECTORS = [
+  "script",
+  "style",
+  "noscript",
+  "iframe",
+  "svg",
+  "form",
+  "button",
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  "figcaption",
+  "[role='navigation']",
+  "[role='banner']",
+  "[role='complementary']",
+  "[aria-hidden='true']",
+  "[class*='advert']",
+  "[class*='newsletter']",
+  "[class*='related']",
+  "[class*='share']",
+  "[class*='social']",
+  "[class*='comment']",
+  "[class*='promo']",
+  "[id*='advert']",
+  "[id*='comment']",
+].join(", ");
+
+const PREFERRED_CONTAINERS = [
+  "[itemprop='articleBody']",
+  "[data-component='text-block']",
+  "article",
+  "main",
+];
+
+const MIN_PARAGRAPH_LENGTH = 40;
+const MIN_ARTICLE_LENGTH = 200;
+
+function linkDensity($, $node) {
+  const textLength = $node.text().length || 1;
+  const linkLength = $node
+    .find("a")
+    .map((i, el) => $(el).text())
+    .get()
+    .join("").length;
+  return linkLength / textLength;
+}
+
+/**
+ * Score every element that directly holds substantial paragraphs, the way
+ * readability does: longer, comma-rich paragraphs count for more, the
+ * parent gets the full score and the grandparent half of it.
+ */
+function findBestContainer($) {
+  const scores = new Map();
+
+  $("p").each((i, el) => {
+    const text = $(el).text().trim();
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const score =
+      1 + (text.match(/,/g) || []).length + Math.min(text.length / 100, 3);
+    const parent = el.parent;
+    const grandparent = parent?.parent;
+
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent) {
+      scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, $(node)));
+    if (adjusted > bestScore) {
+      best = node;
+      bestScore = adjusted;
+    }
+  }
+  return best ? $(best) : null;
+}
+
+/**
+ * Pull the main body text out of an article page. Returns null when no
+ * convincing body is found.
+ */
+export function extractMainText(html) {
+  const $ = cheerio.load(html);
+  $(BOILERPLATE_SELECTORS).remove();
+
+  const preferred = PREFERRED_CONTAINERS.map((selector) => $(selector).first())
+    .filter(($node) => $node.length > 0)
+    .find(($node) => $node.find("p").length >= 2);
+  const $container = preferred || findBestContainer($);
+  if (!$container) return null;
+
+  const blocks = $container
+    .find("p, h2, h3, li, blockquote")
+    .map((i, el) => $(el).text().replace(/\s+/g, " ").trim())
+    .get()
+    .filter((text) => text.length > 0);
+
+  const text = blocks.join("\n\n");
+  return text.length >= MIN_ARTICLE_LENGTH ? text : null;
+}
+
+// ============ PER-DOMAIN CONCURRENCY ============
+function createDomainLimiter(limit) {
+  const domains = new Map();
+
+  function next(domain) {
+    const state = domains.get(domain);
+    if (state.active >= limit || state.queue.length === 0) {
+      if (state.active === 0) domains.delete(domain);
+      return;
+    }
+    state.active++;
+    const { task, resolve, reject } = state.queue.shift();
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        state.active--;
+        next(domain);
+      });
+  }
+
+  return function run(domain, task) {
+    return new Promise((resolve, reject) => {
+      if (!domains.has(domain)) domains.set(domain, { active: 0, queue: [] });
+      domains.get(domain).queue.push({ task, resolve, reject });
+      next(domain);
+    });
+  };
+}
+
+// ============ EXTRACTION ============
+async function fetchArticleText(link) {
+  const response = await fetch(link, {
+    headers: {
+      "User-Agent":
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+      Accept: "text/html",
+    },
+    signal: AbortSignal.timeout(CONFIG.EXTRACTION_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const html = await response.text();
+  const text = extractMainText(html);
+  if (!text) {
+    throw new Error("No article body found");
+  }
+  return text.slice(0, CONFIG.EXTRACTION_MAX_CHARS);
+}
+
+/**
+ * Fetch each article's page and replace `fullText` with the extracted body.
+ * Articles whose extraction fails keep their feed text (title + description).
+ */
+export async function extractArticleBodies(articles) {
+  logger.info(`📄 Extracting full text for ${articles.length} articles...`);
+  const runLimited = createDomainLimiter(
+    CONFIG.EXTRACTION_CONCURRENCY_PER_DOMAIN
+  );
+  let extracted = 0;
+
+  const results = await Promise.all(
+    articles.map(async (article) => {
+      let domain;
+      try {
+        domain = new URL(article.link).hostname;
+      } catch (error) {
+        return { ...article, extracted: false };
+      }
+
+      try {
+        const body = await runLimited(domain, () =>
+          fetchArticleText(article.link)
+        );
+        extracted++;
+        return {
+          ...article,
+          fullText: `${article.title}\n\n${body}`,
+          extracted: true,
+        };
+      } catch (error) {
+        logger.warn(
+          `  ⚠️ Extraction failed for ${article.link}: ${error.message}`
+        );
+        return { ...article, extracted: false };
+      }
+    })
+  );
+
+  logger.info(`  ✅ Extracted ${extracted}/${articles.length} article bodies`);
+  return results;
+}
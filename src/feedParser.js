@@ -0,0 +1,211 @@
+import * as cheerio from "cheerio";
+
+// ============ HELPERS ============
+
+// Elements that end a run of text, so "<p>One.</p><p>Two.</p>" doesn't
+// become "One.Two."
+const BLOCK_ELEMENTS = "p, br, div, li, h1, h2, h3, h4, h5, h6, blockquote";
+
+/**
+ * Turn an HTML (or entity-escaped HTML) fragment into plain text
+ */
+export function htmlToText(html) {
+  if (!html) return "";
+  const $ = cheerio.load(html);
+  $(BLOCK_ELEMENTS).after(" ");
+  return $.root().text().replace(/\s+/g, " ").trim();
+}
+
+function firstImageInHtml(html) {
+  if (!html) return null;
+  const $ = cheerio.load(html);
+  return $("img[src]").first().attr("src") || null;
+}
+
+function toISODate(value) {
+  if (!value) return "";
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? "" : date.toISOString();
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return "";
+  try {
+    return new URL(href.trim(), baseUrl).toString();
+  } catch (error) {
+    return href.trim();
+  }
+}
+
+function childText($item, selector) {
+  return $item.children(selector).first().text().trim();
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+// ============ FORMAT DETECTION ============
+export function detectFeedFormat($) {
+  if ($("feed").length > 0) return "atom";
+  if ($("rdf\\:RDF").length > 0) return "rdf";
+  if ($("rss").length > 0 || $("channel").length > 0) return "rss";
+  return null;
+}
+
+// ============ FORMAT PARSERS ============
+function parseRssItem($, $item, baseUrl) {
+  const $enclosure = $item
+    .children("enclosure")
+    .filter((i, el) => ($(el).attr("type") || "").startsWith("image/"))
+    .first();
+  const content = childText($item, "content\\:encoded");
+  const description = childText($item, "description");
+
+  return {
+    title: childText($item, "title"),
+    link: resolveUrl(
+      childText($item, "link") ||
+        ($item.children("guid").attr("isPermaLink") !== "false"
+          ? childText($item, "guid")
+          : ""),
+      baseUrl
+    ),
+    description,
+    content,
+    pubDate: childText($item, "pubDate") || childText($item, "dc\\:date"),
+    author: childText($item, "dc\\:creator") || childText($item, "author"),
+    categories: $item
+      .children("category")
+      .map((i, el) => $(el).text().trim())
+      .get(),
+    imageUrl:
+      $enclosure.attr("url") ||
+      $item.children("media\\:content[url]").first().attr("url") ||
+      $item
+        .find("media\\:thumbnail[url], media\\:group > media\\:content[url]")
+        .first()
+        .attr("url") ||
+      firstImageInHtml(content || description),
+  };
+}
+
+function parseAtomEntry($, $entry, baseUrl) {
+  const $links = $entry.children("link");
+  const $alternate = $links
+    .filter((i, el) => ["alternate", undefined].includes($(el).attr("rel")))
+    .first();
+  const $imageLink = $links
+    .filter(
+      (i, el) =>
+        $(el).attr("rel") === "enclosure" &&
+        ($(el).attr("type") || "").startsWith("image/")
+    )
+    .first();
+  const content = childText($entry, "content");
+  const summary = childText($entry, "summary");
+
+  return {
+    title: childText($entry, "title"),
+    link: resolveUrl(
+      $alternate.attr("href") || $links.first().attr("href"),
+      baseUrl
+    ),
+    description: summary || content,
+    content,
+    pubDate: childText($entry, "published") || childText($entry, "updated"),
+    author: $entry
+      .children("author")
+      .map((i, el) => $(el).children("name").text().trim())
+      .get()
+      .join(", "),
+    categories: $entry
+      .children("category")
+      .map((i, el) => $(el).attr("label") || $(el).attr("term"))
+      .get(),
+    imageUrl:
+      $imageLink.attr("href") ||
+      $entry
+        .find("media\\:thumbnail[url], media\\:content[url]")
+        .first()
+        .attr("url") ||
+      firstImageInHtml(content || summary),
+  };
+}
+
+function parseRdfItem($, $item, baseUrl) {
+  const content = childText($item, "content\\:encoded");
+  const description = childText($item, "description");
+
+  return {
+    title: childText($item, "title"),
+    link: resolveUrl(
+      childText($item, "link") || $item.attr("rdf:about"),
+      baseUrl
+    ),
+    description,
+    content,
+    pubDate: childText($item, "dc\\:date"),
+    author: childText($item, "dc\\:creator"),
+    categories: $item
+      .children("dc\\:subject")
+      .map((i, el) => $(el).text().trim())
+      .get(),
+    imageUrl: firstImageInHtml(content || description),
+  };
+}
+
+// ============ PUBLIC API ============
+
+/**
+ * Parse an RSS 2.0, Atom or RSS 1.0 (RDF) document into normalized items:
+ * plain-text title/description/content, absolute link, ISO `pubDate`,
+ * author, categories and image URL. Items without a link are dropped,
+ * since articles are identified by their link.
+ */
+export function parseFeed(xml, { feedUrl, limit } = {}) {
+  const $ = cheerio.load(xml, { xml: true });
+  const format = detectFeedFormat($);
+
+  if (!format) {
+    throw new Error("Unrecognized feed format");
+  }
+
+  let title;
+  let $items;
+  let parseItem;
+
+  if (format === "atom") {
+    title = $("feed").children("title").first().text();
+    $items = $("feed").children("entry");
+    parseItem = parseAtomEntry;
+  } else if (format === "rdf") {
+    title = $("rdf\\:RDF > channel").children("title").first().text();
+    $items = $("rdf\\:RDF").children("item");
+    parseItem = parseRdfItem;
+  } else {
+    title = $("channel").children("title").first().text();
+    $items = $("channel").children("item");
+    parseItem = parseRssItem;
+  }
+
+  const items = $items
+    .slice(0, limit ?? $items.length)
+    .map((i, el) => {
+      const raw = parseItem($, $(el), feedUrl);
+      return {
+        title: htmlToText(raw.title),
+        link: raw.link,
+        description: htmlToText(raw.description),
+        content: htmlToText(raw.content),
+        pubDate: toISODate(raw.pubDate),
+        author: htmlToText(raw.author),
+        categories: unique(raw.categories.map(htmlToText)),
+        imageUrl: raw.imageUrl ? resolveUrl(raw.imageUrl, feedUrl) : null,
+      };
+    })
+    .get()
+    .filter((item) => item.link);
+
+  return { format, title: htmlToText(title), items };
+}
@@ -0,0 +1,134 @@
+// Metadata filters for retrieval and article listing, applied as Qdrant
+// payload filters. Each stored passage carries the flat fields below so the
+// filters can be backed by payload indexes.
+
+export const FILTER_INDEXES = {
+  articleId: "keyword",
+  sourceNames: "text",
+  domains: "keyword",
+  categoryKeys: "keyword",
+  pubTimestamp: "integer",
+  // Listing order only; also set for articles without a publish date
+  sortTimestamp: "integer",
+};
+
+function toDomain(link) {
+  try {
+    return new URL(link).hostname.toLowerCase().replace(/^www\./, "");
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Filterable payload fields for an article (or a stored payload that has
+ * `link`, `pubDate`, `source`, `sources` and `categories`).
+ * `sortTimestamp` is the publish date, or when the article was fetched
+ * (`fetchedAt`, else now) if it has none, so every point can be ordered.
+ */
+export function filterFields(article) {
+  const sources = article.sources?.length
+    ? article.sources
+    : [{ name: article.source, link: article.link }];
+  const timestamp = Date.parse(article.pubDate);
+
+  return {
+    sourceNames: [...new Set(sources.map((s) => s.name).filter(Boolean))],
+    domains: [...new Set(sources.map((s) => toDomain(s.link)).filter(Boolean))],
+    categoryKeys: [
+      ...new Set((article.categories || []).map((c) => c.toLowerCase())),
+    ],
+    pubTimestamp: isNaN(timestamp) ? null : timestamp,
+    sortTimestamp: isNaN(timestamp)
+      ? article.fetchedAt ?? Date.now()
+      : timestamp,
+  };
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((v) => String(v).trim()).filter(Boolean);
+}
+
+function toTimestamp(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  const timestamp = /^\d+$/.test(String(value))
+    ? Number(value)
+    : Date.parse(value);
+  if (isNaN(timestamp)) {
+    throw new Error(`${name} must be an ISO date or a timestamp in ms`);
+  }
+  return timestamp;
+}
+
+/**
+ * Validate raw filters from a request body or query string. Lists may be
+ * arrays or comma-separated strings. Throws on invalid input.
+ */
+export function normalizeFilters(raw) {
+  if (!raw) return null;
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("filters must be an object");
+  }
+
+  const filters = {
+    sources: toList(raw.source),
+    domains: toList(raw.domain).map((d) =>
+      d.toLowerCase().replace(/^www\./, "")
+    ),
+    categories: toList(raw.category).map((c) => c.toLowerCase()),
+    from: toTimestamp(raw.from, "from"),
+    to: toTimestamp(raw.to, "to"),
+  };
+
+  if (
+    filters.from !== null &&
+    filters.to !== null &&
+    filters.from > filters.to
+  ) {
+    throw new Error("from must be before to");
+  }
+
+  const isEmpty =
+    !filters.sources.length &&
+    !filters.domains.length &&
+    !filters.categories.length &&
+    filters.from === null &&
+    filters.to === null;
+  return isEmpty ? null : filters;
+}
+
+/**
+ * Qdrant filter for normalized filters plus any extra `must` conditions.
+ * Returns undefined when there is nothing to filter on.
+ */
+export function buildQdrantFilter(filters, extraMust = []) {
+  const must = [...extraMust];
+
+  if (filters?.sources.length) {
+    must.push({
+      should: filters.sources.map((name) => ({
+        key: "sourceNames",
+        match: { text: name },
+      })),
+    });
+  }
+  if (filters?.domains.length) {
+    must.push({ key: "domains", match: { any: filters.domains } });
+  }
+  if (filters?.categories.length) {
+    must.push({ key: "categoryKeys", match: { any: filters.categories } });
+  }
+  if (filters && (filters.from !== null || filters.to !== null)) {
+    must.push({
+      key: "pubTimestamp",
+      range: {
+        ...(filters.from !== null && { gte: filters.from }),
+        ...(filters.to !== null && { lte: filters.to }),
+      },
+    });
+  }
+
+  return must.length > 0 ? { must } : undefined;
+}
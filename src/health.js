@@ -0,0 +1,99 @@
+import { redisClient, qdrantClient, CONFIG } from "./config.js";
+import { embeddingProvider } from "./embeddings.js";
+import { llmProvider } from "./llm.js";
+
+// Dependency probes for the health endpoints. Each probe gets
+// HEALTH_CHECK_TIMEOUT_MS; results are reused for HEALTH_CHECK_CACHE_MS so
+// frequent readiness checks don't hammer Qdrant. A passing embeddings probe
+// is reused for EMBEDDINGS_HEALTH_CHECK_CACHE_MS, since with Jina every
+// probe is a paid API call.
+
+function withTimeout(run, ms) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Timed out after ${ms}ms`));
+    }, ms);
+  });
+  return Promise.race([run(controller.signal), timeout]).finally(() =>
+    clearTimeout(timer)
+  );
+}
+
+const PROBES = {
+  redis: async () => {
+    if (!redisClient.isReady) throw new Error("Not connected");
+    await redisClient.ping();
+  },
+
+  qdrant: async () => {
+    const info = await qdrantClient.getCollection(CONFIG.QDRANT_COLLECTION);
+    return { points: info.points_count || 0 };
+  },
+
+  embeddings: async (signal) => {
+    await embeddingProvider.check({ signal });
+    return {
+      provider: embeddingProvider.name,
+      model: embeddingProvider.model,
+    };
+  },
+
+  llm: async (signal) => {
+    await llmProvider.check({ signal });
+    return { provider: llmProvider.name, model: llmProvider.model };
+  },
+};
+
+async function runProbe(probe) {
+  const startedAt = Date.now();
+  try {
+    const details = await withTimeout(probe, CONFIG.HEALTH_CHECK_TIMEOUT_MS);
+    return { status: "up", latencyMs: Date.now() - startedAt, ...details };
+  } catch (error) {
+    return {
+      status: "down",
+      latencyMs: Date.now() - startedAt,
+      error: error.message,
+    };
+  }
+}
+
+// How long a passing result is reused, where it differs from
+// HEALTH_CHECK_CACHE_MS; failures are always re-checked after that
+const PASSING_CACHE_MS = {
+  embeddings: CONFIG.EMBEDDINGS_HEALTH_CHECK_CACHE_MS,
+};
+
+const results = new Map();
+
+async function cachedProbe(name) {
+  const previous = results.get(name);
+  const maxAge =
+    previous?.result.status === "up"
+      ? PASSING_CACHE_MS[name] ?? CONFIG.HEALTH_CHECK_CACHE_MS
+      : CONFIG.HEALTH_CHECK_CACHE_MS;
+  if (previous && Date.now() - previous.checkedAt < maxAge) {
+    return previous.result;
+  }
+
+  const result = await runProbe(PROBES[name]);
+  results.set(name, { result, checkedAt: Date.now() });
+  return result;
+}
+
+/**
+ * Probe every dependency in parallel. Returns { healthy, checks } where
+ * checks maps each dependency to { status: "up" | "down", latencyMs, ... }.
+ */
+export async function checkDependencies() {
+  const names = Object.keys(PROBES);
+  const checked = await Promise.all(names.map(cachedProbe));
+
+  return {
+    healthy: checked.every((r) => r.status === "up"),
+    checks: Object.fromEntries(names.map((n, i) => [n, checked[i]])),
+  };
+}
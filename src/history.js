@@ -0,0 +1,108 @@
+import { redisClient, CONFIG } from "./config.js";
+import { logger } from "./logger.js";
+
+// Conversation history is a Redis stream per session, one entry per
+// message. Appends are atomic, so concurrent turns in the same session
+// can't overwrite each other, and stream IDs give stable cursors for
+// pagination. Entries hold the message JSON in a single `data` field; the
+// stream ID is returned as the message `id`.
+
+export const messagesKey = (sessionId) => `session:${sessionId}:messages`;
+
+function toMessage({ id, message }) {
+  return { id, ...JSON.parse(message.data) };
+}
+
+/**
+ * Append messages in order, atomically, and slide the stream's TTL.
+ */
+export async function appendMessages(sessionId, messages) {
+  const key = messagesKey(sessionId);
+  const multi = redisClient.multi();
+  for (const message of messages) {
+    multi.xAdd(key, "*", { data: JSON.stringify(message) });
+  }
+  multi.expire(key, CONFIG.SESSION_TTL);
+  const replies = await multi.exec();
+  return replies.slice(0, messages.length);
+}
+
+/** Every stored message, oldest first */
+export async function readMessages(sessionId) {
+  const entries = await redisClient.xRange(messagesKey(sessionId), "-", "+");
+  return entries.map(toMessage);
+}
+
+/**
+ * One page of messages older than `before` (a message id), oldest first.
+ * `nextBefore` is the cursor for the page before this one, or null.
+ */
+export async function readMessagesPage(sessionId, { before, limit }) {
+  const entries = await redisClient.xRevRange(
+    messagesKey(sessionId),
+    before ? `(${before}` : "+",
+    "-",
+    { COUNT: limit + 1 }
+  );
+
+  const hasMore = entries.length > limit;
+  const messages = entries.slice(0, limit).reverse().map(toMessage);
+  return {
+    messages,
+    nextBefore: hasMore ? messages[0].id : null,
+  };
+}
+
+export async function countMessages(sessionId) {
+  return redisClient.xLen(messagesKey(sessionId));
+}
+
+/** Drop every message older than `id` */
+export async function trimMessagesBefore(sessionId, id) {
+  return redisClient.xTrim(messagesKey(sessionId), "MINID", id);
+}
+
+// ============ MIGRATION ============
+
+/**
+ * Move history stored the old way (one JSON array per session under
+ * `session:<id>`) into message streams, keeping the remaining TTL.
+ * Returns the number of sessions migrated.
+ */
+export async function migrateLegacyHistory() {
+  let migrated = 0;
+
+  for await (const key of redisClient.scanIterator({
+    MATCH: "session:*",
+    TYPE: "string",
+    COUNT: 100,
+  })) {
+    // session:<id> only, not session:<id>:summary / :meta
+    if (key.split(":").length !== 2) continue;
+
+    try {
+      const [historyJson, ttl] = await Promise.all([
+        redisClient.get(key),
+        redisClient.pTTL(key),
+      ]);
+      const history = historyJson ? JSON.parse(historyJson) : [];
+      const target = messagesKey(key.slice("session:".length));
+
+      const multi = redisClient.multi();
+      for (const message of history) {
+        multi.xAdd(target, "*", { data: JSON.stringify(message) });
+      }
+      if (history.length > 0 && ttl > 0) multi.pExpire(target, ttl);
+      multi.del(key);
+      await multi.exec();
+      migrated++;
+    } catch (error) {
+      logger.error(`❌ Error migrating ${key}`, { error: error.message });
+    }
+  }
+
+  if (migrated > 0) {
+    logger.info(`📦 Migrated ${migrated} sessions to per-message history`);
+  }
+  return migrated;
+}
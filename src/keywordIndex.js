@@ -0,0 +1,127 @@
+// In-memory BM25 index over passages, used next to Qdrant vector search so
+// exact entities (names, tickers, bill numbers) aren't lost in embeddings.
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by for from has have in is it its of on or " +
+    "that the this to was were will with what who how why when where which " +
+    "about"
+  ).split(" ")
+);
+
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Lowercase alphanumeric tokens. Dotted or hyphenated terms such as
+ * "h.r.2617" or "covid-19" are kept whole and also split into their parts.
+ */
+export function tokenize(text) {
+  const raw = (text || "").toLowerCase().match(/[a-z0-9]+(?:[.\-][a-z0-9]+)*/g);
+  if (!raw) return [];
+
+  const tokens = [];
+  for (const token of raw) {
+    if (!STOPWORDS.has(token)) tokens.push(token);
+    if (/[.\-]/.test(token)) {
+      token
+        .split(/[.\-]/)
+        .filter((part) => part.length > 1 && !STOPWORDS.has(part))
+        .forEach((part) => tokens.push(part));
+    }
+  }
+  return tokens;
+}
+
+export function createKeywordIndex() {
+  const docs = new Map(); // id -> { length, termFreqs }
+  const postings = new Map(); // term -> Set of ids
+  let totalLength = 0;
+
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    for (const term of doc.termFreqs.keys()) {
+      const ids = postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) postings.delete(term);
+    }
+    totalLength -= doc.length;
+    docs.delete(id);
+  }
+
+  function add(id, text) {
+    remove(id);
+    const tokens = tokenize(text);
+    const termFreqs = new Map();
+    tokens.forEach((t) => termFreqs.set(t, (termFreqs.get(t) || 0) + 1));
+
+    for (const term of termFreqs.keys()) {
+      if (!postings.has(term)) postings.set(term, new Set());
+      postings.get(term).add(id);
+    }
+    docs.set(id, { length: tokens.length, termFreqs });
+    totalLength += tokens.length;
+  }
+
+  /**
+   * Top `limit` documents by BM25 score, as [{ id, score }]
+   */
+  function search(query, limit = 10) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || docs.size === 0) return [];
+
+    const avgLength = totalLength / docs.size;
+    const scores = new Map();
+
+    for (const term of terms) {
+      const ids = postings.get(term);
+      if (!ids) continue;
+
+      const idf = Math.log(1 + (docs.size - ids.size + 0.5) / (ids.size + 0.5));
+      for (const id of ids) {
+        const doc = docs.get(id);
+        const tf = doc.termFreqs.get(term);
+        const termScore =
+          (idf * tf * (K1 + 1)) /
+          (tf + K1 * (1 - B + (B * doc.length) / avgLength));
+        scores.set(id, (scores.get(id) || 0) + termScore);
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  function clear() {
+    docs.clear();
+    postings.clear();
+    totalLength = 0;
+  }
+
+  return {
+    add,
+    remove,
+    search,
+    clear,
+    get size() {
+      return docs.size;
+    },
+  };
+}
+
+/**
+ * Reciprocal rank fusion of several ranked lists of { id }. Returns a Map of
+ * id -> fused score, where each list contributes 1 / (k + rank).
+ */
+export function reciprocalRankFusion(rankedLists, k = 60) {
+  const fused = new Map();
+  for (const list of rankedLists) {
+    list.forEach((item, rank) => {
+      fused.set(item.id, (fused.get(item.id) || 0) + 1 / (k + rank + 1));
+    });
+  }
+  return fused;
+}
@@ -0,0 +1,302 @@
+import fetch from "node-fetch";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { CONFIG } from "./config.js";
+import { UpstreamError, UpstreamTimeoutError } from "./errors.js";
+
+// Every chat-model provider exposes the same shape:
+//   { name, model,
+//     generate(prompt, { generationConfig, signal }) => Promise<string>,
+//     stream(prompt, { generationConfig, signal }) => AsyncIterable<string>,
+//     check({ signal }) => Promise<void> }
+// `check` is a cheap reachability probe for health checks; it throws when
+// the provider can't be used.
+// `generationConfig` uses Gemini's field names (temperature, topP, topK,
+// maxOutputTokens); other providers translate them.
+// createLLMProvider adds an LLM_TIMEOUT_MS deadline to generate and stream
+// and reports their failures as UpstreamError (502) or, on timeout,
+// UpstreamTimeoutError (504). Aborts by the caller are rethrown as is.
+
+// ============ GEMINI PROVIDER ============
+function createGeminiProvider(model) {
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  const geminiModel = genAI.getGenerativeModel({ model });
+
+  const toRequest = (prompt, generationConfig) => ({
+    contents: [{ role: "user", parts: [{ text: prompt }] }],
+    generationConfig,
+  });
+
+  return {
+    name: "gemini",
+    model,
+
+    async generate(prompt, { generationConfig, signal } = {}) {
+      const result = await geminiModel.generateContent(
+        toRequest(prompt, generationConfig),
+        { signal }
+      );
+      return result.response.text();
+    },
+
+    async *stream(prompt, { generationConfig, signal } = {}) {
+      const result = await geminiModel.generateContentStream(
+        toRequest(prompt, generationConfig),
+        { signal }
+      );
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    },
+
+    // Token counting is free and checks both the key and the model
+    async check({ signal } = {}) {
+      await geminiModel.countTokens("ping", { signal });
+    },
+  };
+}
+
+// ============ OPENAI-COMPATIBLE PROVIDER ============
+// Works with OpenAI and local stand-ins that speak the same API
+// (llama.cpp server, Ollama, vLLM, LM Studio).
+function createOpenAIProvider(model) {
+  const baseUrl = CONFIG.OPENAI_BASE_URL.replace(/\/+$/, "");
+
+  async function request(prompt, { generationConfig = {}, signal }, stream) {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(process.env.OPENAI_API_KEY && {
+          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+        }),
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        temperature: generationConfig.temperature,
+        top_p: generationConfig.topP,
+        ...(CONFIG.OPENAI_SEND_TOP_K && { top_k: generationConfig.topK }),
+        max_tokens: generationConfig.maxOutputTokens,
+        stream,
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`LLM API error ${response.status}: ${errorText}`);
+    }
+    return response;
+  }
+
+  return {
+    name: "openai",
+    model,
+
+    async generate(prompt, options = {}) {
+      const response = await request(prompt, options, false);
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || "";
+    },
+
+    async *stream(prompt, options = {}) {
+      const response = await request(prompt, options, true);
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || !data) continue;
+          if (data === "[DONE]") return;
+
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    },
+
+    async check({ signal } = {}) {
+      const response = await fetch(`${baseUrl}/models`, {
+        headers: {
+          ...(process.env.OPENAI_API_KEY && {
+            Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+          }),
+        },
+        signal,
+      });
+      if (!response.ok) {
+        throw new Error(`LLM API error ${response.status}`);
+      }
+    },
+  };
+}
+
+// ============ MOCK PROVIDER ============
+/**
+ * Deterministic answer for tests and offline development: echoes the
+ * question and cites the first source in the prompt, if any. Query-rewrite
+ * prompts get the follow-up question back unchanged; summary prompts get
+ * the user's questions listed.
+ */
+export function mockAnswer(prompt) {
+  const followUp = prompt.match(
+    /Follow-up question: (.*)\n\nStandalone search query:\s*$/
+  )?.[1];
+  if (followUp !== undefined) return followUp.trim();
+
+  if (/\nUpdated summary:\s*$/.test(prompt)) {
+    const questions = [...prompt.matchAll(/^User: (.*)$/gm)].map((m) => m[1]);
+    return `The user asked about: ${questions.join("; ")}`;
+  }
+
+  const question = prompt.match(/User Question: (.*)/)?.[1]?.trim() || "";
+  const firstTitle = prompt.match(/\[Source 1\][^\n]*\nTitle: (.*)/)?.[1];
+
+  return firstTitle
+    ? `Mock answer to "${question}". The top story is "${firstTitle}" [1].`
+    : `Mock answer to "${question}". No sources were provided.`;
+}
+
+function createMockProvider(model) {
+  return {
+    name: "mock",
+    model,
+
+    async generate(prompt) {
+      return mockAnswer(prompt);
+    },
+
+    async *stream(prompt, { signal } = {}) {
+      for (const word of mockAnswer(prompt).split(/(?<= )/)) {
+        if (signal?.aborted) return;
+        yield word;
+      }
+    },
+
+    async check() {},
+  };
+}
+
+// ============ TIMEOUTS ============
+
+function upstreamError(error, signal, timeout) {
+  if (signal?.aborted) return error;
+  if (timeout.aborted) {
+    return new UpstreamTimeoutError(
+      `The language model didn't answer within ${CONFIG.LLM_TIMEOUT_MS}ms`,
+      { code: "LLM_TIMEOUT", cause: error }
+    );
+  }
+  return new UpstreamError("The language model request failed", {
+    code: "LLM_ERROR",
+    cause: error,
+  });
+}
+
+function withTimeout(provider) {
+  const deadline = (signal) => {
+    const timeout = AbortSignal.timeout(CONFIG.LLM_TIMEOUT_MS);
+    return {
+      timeout,
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    };
+  };
+
+  return {
+    ...provider,
+
+    async generate(prompt, options = {}) {
+      const { timeout, signal } = deadline(options.signal);
+      try {
+        return await provider.generate(prompt, { ...options, signal });
+      } catch (error) {
+        throw upstreamError(error, options.signal, timeout);
+      }
+    },
+
+    async *stream(prompt, options = {}) {
+      const { timeout, signal } = deadline(options.signal);
+      try {
+        yield* provider.stream(prompt, { ...options, signal });
+      } catch (error) {
+        throw upstreamError(error, options.signal, timeout);
+      }
+    },
+  };
+}
+
+// ============ PROVIDER REGISTRY ============
+const PROVIDERS = {
+  gemini: { create: createGeminiProvider, defaultModel: "gemini-2.5-flash" },
+  openai: { create: createOpenAIProvider, defaultModel: "gpt-4o-mini" },
+  mock: { create: createMockProvider, defaultModel: "mock-1" },
+};
+
+export function createLLMProvider(
+  name = CONFIG.LLM_PROVIDER,
+  model = CONFIG.LLM_MODEL
+) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown LLM provider "${name}" (expected one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")})`
+    );
+  }
+  return withTimeout(provider.create(model || provider.defaultModel));
+}
+
+export const llmProvider = createLLMProvider();
+
+// ============ GENERATION SETTINGS ============
+const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  topP: { min: 0, max: 1 },
+  topK: { min: 1, max: 100, integer: true },
+  maxOutputTokens: { min: 1, max: 8192, integer: true },
+};
+
+/**
+ * Validate per-request generation overrides and merge them over the
+ * configured defaults. Throws on unknown keys or out-of-range values.
+ */
+export function resolveGenerationConfig(overrides) {
+  if (overrides === undefined || overrides === null) {
+    return { ...CONFIG.GENERATION_CONFIG };
+  }
+  if (typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error("generation must be an object");
+  }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    const limits = GENERATION_LIMITS[key];
+    if (!limits) {
+      throw new Error(
+        `Unknown generation setting "${key}" (allowed: ${Object.keys(
+          GENERATION_LIMITS
+        ).join(", ")})`
+      );
+    }
+    if (
+      typeof value !== "number" ||
+      value < limits.min ||
+      value > limits.max ||
+      (limits.integer && !Number.isInteger(value))
+    ) {
+      throw new Error(
+        `generation.${key} must be ${
+          limits.integer ? "an integer" : "a number"
+        } between ${limits.min} and ${limits.max}`
+      );
+    }
+  }
+
+  return { ...CONFIG.GENERATION_CONFIG, ...overrides };
+}
@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { v4 as uuidv4 } from "uuid";
+
+dotenv.config();
+
+// Leveled logger. LOG_FORMAT=json writes one JSON object per line
+//   { "time", "level", "msg", ...bindings, ...fields }
+// for log aggregators; "pretty" (the default outside production) prints the
+// message followed by its fields. Child loggers carry bindings such as the
+// request ID, so every line of one request can be followed end to end.
+//
+// Reads the environment directly rather than CONFIG, since config.js itself
+// logs while it loads.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL]
+  ? process.env.LOG_LEVEL
+  : "info";
+const LOG_FORMAT =
+  process.env.LOG_FORMAT ||
+  (process.env.NODE_ENV === "production" ? "json" : "pretty");
+// How user-written text (chat messages, search queries) appears in logs:
+// "redacted" (length and hash only), "truncated" (first 50 characters) or
+// "full"
+const LOG_USER_MESSAGES = process.env.LOG_USER_MESSAGES || "redacted";
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.status && { status: error.status }),
+    stack: error.stack,
+    ...(error.cause instanceof Error && {
+      cause: serializeError(error.cause),
+    }),
+  };
+}
+
+function serializeFields(fields) {
+  const out = {};
+  for (const [key, value] of Object.entries(fields)) {
+    out[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return out;
+}
+
+function write(level, msg, fields) {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (LOG_FORMAT === "json") {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...serializeFields(fields),
+    };
+    stream.write(JSON.stringify(entry) + "\n");
+    return;
+  }
+
+  const { error, ...rest } = fields;
+  const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : "";
+  stream.write(`${msg}${extra}\n`);
+  if (error) {
+    stream.write(`${error instanceof Error ? error.stack : error}\n`);
+    if (error?.cause instanceof Error) {
+      stream.write(`Caused by: ${error.cause.stack}\n`);
+    }
+  }
+}
+
+/**
+ * Create a logger with `bindings` added to every line. Each level method
+ * takes a message and optional fields; an Error field is serialized with
+ * its stack.
+ */
+export function createLogger(bindings = {}) {
+  const log =
+    (level) =>
+    (msg, fields = {}) => {
+      if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+      write(level, msg, { ...bindings, ...fields });
+    };
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+export const logger = createLogger();
+
+/**
+ * User-written text as it may appear in logs, per LOG_USER_MESSAGES. The
+ * redacted form keeps a short hash so repeats of one message can still be
+ * spotted.
+ */
+export function redact(text) {
+  if (typeof text !== "string") return text;
+  if (LOG_USER_MESSAGES === "full") return text;
+  if (LOG_USER_MESSAGES === "truncated") {
+    return text.length > 50 ? `${text.slice(0, 50)}…` : text;
+  }
+
+  const hash = crypto.createHash("sha256").update(text).digest("hex");
+  return `[redacted ${text.length} chars, sha256:${hash.slice(0, 12)}]`;
+}
+
+// ============ REQUEST MIDDLEWARE ============
+
+// Accepted X-Request-Id values; anything else gets a fresh ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an ID, taken from X-Request-Id when the caller sent
+ * a sane one, and echo it in the X-Request-Id response header. Attaches
+ * `req.id` and `req.log` (a logger bound to the ID) and logs each
+ * completed request.
+ */
+export function requestLogger(req, res, next) {
+  const given = req.get("X-Request-Id");
+  req.id = given && REQUEST_ID_PATTERN.test(given) ? given : uuidv4();
+  req.log = logger.child({ requestId: req.id });
+  res.set("X-Request-Id", req.id);
+
+  const start = Date.now();
+  res.on("finish", () => {
+    const level =
+      res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+    req.log[level](`${req.method} ${req.originalUrl.split("?")[0]}`, {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Date.now() - start,
+    });
+  });
+  next();
+}
@@ -0,0 +1,201 @@
+import crypto from "crypto";
+import client from "prom-client";
+import { countActiveSessions } from "./sessions.js";
+
+// Prometheus metrics, served in text format on GET /metrics. Everything is
+// registered on one registry, prefixed "newschat_", next to the default
+// Node.js process metrics.
+
+const PREFIX = "newschat_";
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+// ============ HTTP ============
+
+const httpRequests = new client.Counter({
+  name: `${PREFIX}http_requests_total`,
+  help: "HTTP requests by method, route and status code",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: "HTTP request latency by method, route and status code",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry],
+});
+
+/**
+ * Count and time every request. Requests are labelled with the matched
+ * route pattern (e.g. /api/sessions/:sessionId) rather than the raw path,
+ * so ids don't blow up the number of series; unmatched requests share
+ * one label.
+ */
+export function metricsMiddleware(req, res, next) {
+  const endTimer = httpRequestDuration.startTimer();
+
+  // Express assigns req.route when a route starts handling the request.
+  // Record the label right then: req.baseUrl is reset once the request
+  // leaves its router, e.g. through next(error) on the way to the error
+  // handler.
+  let route = req.route;
+  let routeLabel = "unmatched";
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value) routeLabel = req.baseUrl + value.path;
+    },
+  });
+
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: routeLabel,
+      status: res.statusCode,
+    };
+    httpRequests.inc(labels);
+    endTimer(labels);
+  });
+  next();
+}
+
+function matchesToken(given = "", expected) {
+  const hash = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+/**
+ * GET /metrics
+ * Prometheus scrape endpoint. With METRICS_TOKEN set, requires
+ * `Authorization: Bearer <METRICS_TOKEN>`.
+ */
+export async function metricsHandler(req, res) {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !matchesToken(req.get("Authorization"), `Bearer ${token}`)) {
+    res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+    return res.status(401).json({
+      success: false,
+      error: "Metrics token required",
+    });
+  }
+
+  try {
+    res.set("Content-Type", registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    req.log.error("❌ Error collecting metrics", { error });
+    res.status(500).json({
+      success: false,
+      error: "Failed to collect metrics",
+    });
+  }
+}
+
+// ============ RAG PIPELINE ============
+
+const stageDuration = new client.Histogram({
+  name: `${PREFIX}rag_stage_duration_seconds`,
+  help: "Time spent per answer in each pipeline stage: query embedding, Qdrant vector search and LLM generation",
+  labelNames: ["stage"],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [registry],
+});
+
+/**
+ * Run `fn` and record how long it took under `stage`, whether it
+ * succeeded or not
+ */
+export async function timeStage(stage, fn) {
+  const endTimer = stageDuration.startTimer({ stage });
+  try {
+    return await fn();
+  } finally {
+    endTimer();
+  }
+}
+
+/** Start timing `stage` by hand; call the returned function when done */
+export function startStageTimer(stage) {
+  return stageDuration.startTimer({ stage });
+}
+
+const embeddingRequests = new client.Counter({
+  name: `${PREFIX}embedding_requests_total`,
+  help: "Embedding provider calls by provider and result (success or error)",
+  labelNames: ["provider", "result"],
+  registers: [registry],
+});
+
+export function recordEmbeddingRequest(provider, ok) {
+  embeddingRequests.inc({ provider, result: ok ? "success" : "error" });
+}
+
+// ============ INGESTION ============
+
+const sourceFetches = new client.Counter({
+  name: `${PREFIX}source_fetches_total`,
+  help: "News source fetches by source id and result (success or failure)",
+  labelNames: ["source", "result"],
+  registers: [registry],
+});
+
+const sourceArticles = new client.Counter({
+  name: `${PREFIX}source_articles_fetched_total`,
+  help: "Articles fetched per news source",
+  labelNames: ["source"],
+  registers: [registry],
+});
+
+export function recordSourceFetch(sourceId, { count = 0, error = null }) {
+  sourceFetches.inc({
+    source: sourceId,
+    result: error ? "failure" : "success",
+  });
+  if (count > 0) sourceArticles.inc({ source: sourceId }, count);
+}
+
+// ============ SESSIONS & CACHE ============
+
+new client.Gauge({
+  name: `${PREFIX}active_sessions`,
+  help: "Sessions active within the session TTL",
+  registers: [registry],
+  async collect() {
+    try {
+      this.set(await countActiveSessions());
+    } catch {
+      // Redis unavailable: keep the last value rather than failing the scrape
+    }
+  },
+});
+
+const cacheLookups = new client.Counter({
+  name: `${PREFIX}answer_cache_lookups_total`,
+  help: "Answer cache lookups by result (hit or miss)",
+  labelNames: ["result"],
+  registers: [registry],
+});
+
+const cacheCounts = { hit: 0, miss: 0 };
+
+new client.Gauge({
+  name: `${PREFIX}answer_cache_hit_ratio`,
+  help: "Share of answer cache lookups that were hits since the process started",
+  registers: [registry],
+  collect() {
+    const total = cacheCounts.hit + cacheCounts.miss;
+    this.set(total > 0 ? cacheCounts.hit / total : 0);
+  },
+});
+
+export function recordCacheLookup(hit) {
+  const result = hit ? "hit" : "miss";
+  cacheCounts[result]++;
+  cacheLookups.inc({ result });
+}
@@ -0,0 +1,137 @@
+import { CONFIG } from "./config.js";
+
+// ============ TOKEN ESTIMATION ============
+// No tokenizer for every provider, so use the usual ~4 characters per token
+// for English text. Good enough for budgeting, not for billing.
+const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+// ============ PROMPT PARTS ============
+const INSTRUCTIONS = `You are a knowledgeable and helpful news assistant. Your task is to answer the user's question based on the provided news articles.
+
+Guidelines:
+- Provide accurate, well-informed answers based on the sources
+- Use clear headings with ## for main topics
+- Use bullet points (-) for lists
+- Write in a conversational, friendly tone
+- Cite the sources each sentence relies on with their numbers in square brackets right after the sentence (e.g., "Inflation slowed in May [1][3].")
+- Only cite source numbers listed below
+- Keep paragraphs short (2-3 sentences max)
+- If the articles don't contain enough information, acknowledge this`;
+
+export function formatRelevance(article) {
+  return article.vectorScore !== undefined
+    ? (article.vectorScore * 100).toFixed(1) + "%"
+    : null;
+}
+
+function articleContent(article) {
+  if (!article.passages?.length) return article.description;
+  return article.passages
+    .slice(0, CONFIG.PASSAGES_PER_ARTICLE)
+    .map((p) => p.text)
+    .join("\n...\n");
+}
+
+function formatSource(article, i) {
+  return (
+    `[Source ${i + 1}] (${article.source} - Relevance: ${
+      formatRelevance(article) ?? "keyword match"
+    })\n` +
+    `Title: ${article.title}\n` +
+    `Content: ${articleContent(article)}\n` +
+    `URL: ${article.link}\n` +
+    `Published: ${article.pubDate}`
+  );
+}
+
+function formatMessage(message) {
+  return `${message.role === "user" ? "User" : "Assistant"}: ${
+    message.content
+  }`;
+}
+
+// ============ BUDGETED ASSEMBLY ============
+
+/**
+ * Assemble the answer prompt within `budget` estimated tokens.
+ *
+ * Instructions, the question and the running conversation summary are
+ * always included. Recent history messages come next, newest first, capped
+ * at PROMPT_HISTORY_SHARE of the budget. Sources fill the rest in rank
+ * order; once one doesn't fit it and every lower-ranked source are dropped,
+ * so source numbers in the prompt still match `articles`.
+ */
+export function buildPrompt(
+  query,
+  relevantArticles,
+  { history = [], summary = "", budget = CONFIG.PROMPT_TOKEN_BUDGET } = {}
+) {
+  const summaryBlock = summary
+    ? `\n\nSummary of earlier conversation:\n${summary}`
+    : "";
+  const question = `User Question: ${query}\n\nPlease provide a clear, well-formatted answer using markdown:`;
+
+  const fixedTokens =
+    estimateTokens(INSTRUCTIONS) +
+    estimateTokens(question) +
+    estimateTokens(summaryBlock);
+  let remaining = budget - fixedTokens;
+
+  const historyBudget = Math.min(
+    remaining,
+    Math.floor(budget * CONFIG.PROMPT_HISTORY_SHARE)
+  );
+  const messages = [];
+  let historyTokens = 0;
+  for (const message of history
+    .slice(-CONFIG.PROMPT_HISTORY_MESSAGES)
+    .reverse()) {
+    const line = formatMessage(message);
+    const tokens = estimateTokens(line);
+    if (historyTokens + tokens > historyBudget) break;
+    messages.unshift(line);
+    historyTokens += tokens;
+  }
+  remaining -= historyTokens;
+
+  const sourceBlocks = [];
+  let sourceTokens = 0;
+  for (const [i, article] of relevantArticles.entries()) {
+    const block = formatSource(article, i);
+    const tokens = estimateTokens(block);
+    if (sourceTokens + tokens > remaining) break;
+    sourceBlocks.push(block);
+    sourceTokens += tokens;
+  }
+
+  const conversationContext =
+    messages.length > 0
+      ? "\n\nPrevious conversation:\n" + messages.join("\n")
+      : "";
+
+  const prompt = `${INSTRUCTIONS}
+
+News Sources (with relevance scores and sources):
+${sourceBlocks.join("\n\n")}${summaryBlock}${conversationContext}
+
+${question}`;
+
+  return {
+    prompt,
+    articles: relevantArticles.slice(0, sourceBlocks.length),
+    usage: {
+      budget,
+      promptTokens: estimateTokens(prompt),
+      sourceTokens,
+      historyTokens,
+      summaryTokens: estimateTokens(summaryBlock),
+      sourcesUsed: sourceBlocks.length,
+      sourcesDropped: relevantArticles.length - sourceBlocks.length,
+      historyMessagesUsed: messages.length,
+    },
+  };
+}
@@ -0,0 +1,75 @@
+import { CONFIG } from "./config.js";
+import { logger, redact } from "./logger.js";
+import { llmProvider } from "./llm.js";
+
+const REWRITE_PROMPT_MARKER = "Standalone search query:";
+
+function buildRewritePrompt(query, history) {
+  const conversation = history
+    .slice(-CONFIG.QUERY_REWRITE_HISTORY)
+    .map(
+      (h) =>
+        `${h.role === "user" ? "User" : "Assistant"}: ${h.content.slice(
+          0,
+          500
+        )}`
+    )
+    .join("\n");
+
+  return `Rewrite the user's latest message as a standalone search query for a news search engine.
+
+Rules:
+- Resolve pronouns and references ("it", "that", "what about...") using the conversation
+- Keep names, places, dates, tickers and bill numbers exactly as written
+- If the message already stands on its own, return it unchanged
+- Reply with the query only, no quotes or explanation
+
+Conversation:
+${conversation}
+
+Follow-up question: ${query}
+
+${REWRITE_PROMPT_MARKER}`;
+}
+
+/**
+ * Turn a follow-up question into a standalone search query using the
+ * session history. Returns the original query when there is no history,
+ * rewriting is disabled, or the model call fails. `log` is the logger to
+ * report through, e.g. one bound to the request ID.
+ */
+export async function rewriteQuery(query, history, { log = logger } = {}) {
+  if (!CONFIG.QUERY_REWRITE_ENABLED || history.length === 0) {
+    return { query, rewritten: false };
+  }
+
+  try {
+    const text = await llmProvider.generate(
+      buildRewritePrompt(query, history),
+      {
+        generationConfig: {
+          ...CONFIG.GENERATION_CONFIG,
+          temperature: 0,
+          maxOutputTokens: 100,
+        },
+      }
+    );
+
+    const standalone = text
+      .split("\n")[0]
+      .replace(/^["'`]+|["'`]+$/g, "")
+      .trim();
+    if (!standalone) return { query, rewritten: false };
+
+    if (standalone === query) return { query, rewritten: false };
+
+    log.info("✏️  Rewrote query", {
+      query: redact(query),
+      rewritten: redact(standalone),
+    });
+    return { query: standalone, rewritten: true };
+  } catch (error) {
+    log.warn(`  ⚠️ Query rewrite failed: ${error.message}, using original`);
+    return { query, rewritten: false };
+  }
+}
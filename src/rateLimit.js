@@ -0,0 +1,94 @@
+import { v4 as uuidv4 } from "uuid";
+import { redisClient, CONFIG } from "./config.js";
+import { RateLimitError } from "./errors.js";
+
+// Sliding-window log: each allowed request is a member of a sorted set
+// scored by its timestamp. Entries older than the window are dropped
+// before counting, so the limit applies to any window-length span rather
+// than to fixed buckets.
+
+/**
+ * Count a request against `key`. Returns { allowed, limit, remaining,
+ * resetSeconds } where resetSeconds is when the oldest counted request
+ * leaves the window.
+ */
+export async function hitRateLimit(key, limit, windowSeconds) {
+  const now = Date.now();
+  const windowMs = windowSeconds * 1000;
+  const member = `${now}:${uuidv4()}`;
+
+  const [, , count, oldest] = await redisClient
+    .multi()
+    .zRemRangeByScore(key, "-inf", now - windowMs)
+    .zAdd(key, { score: now, value: member })
+    .zCard(key)
+    .zRangeWithScores(key, 0, 0)
+    .pExpire(key, windowMs)
+    .exec();
+
+  const allowed = count <= limit;
+  // Rejected requests don't use up the window
+  if (!allowed) await redisClient.zRem(key, member);
+
+  const oldestAt = oldest[0]?.score ?? now;
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, limit - Math.min(count, limit)),
+    resetSeconds: Math.max(1, Math.ceil((oldestAt + windowMs - now) / 1000)),
+  };
+}
+
+function setRateLimitHeaders(res, result) {
+  res.set({
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(result.resetSeconds),
+  });
+}
+
+/**
+ * Express middleware enforcing a sliding-window limit. `identify(req)`
+ * returns { key, limit } for the bucket to count against, or null to skip.
+ * Redis errors let the request through rather than taking the API down.
+ */
+export function rateLimit(identify) {
+  return async (req, res, next) => {
+    const bucket = identify(req);
+    if (!bucket) return next();
+
+    let result;
+    try {
+      result = await hitRateLimit(
+        `ratelimit:${bucket.key}`,
+        bucket.limit,
+        CONFIG.RATE_LIMIT_WINDOW_SECONDS
+      );
+    } catch (error) {
+      req.log.error("❌ Rate limit check failed", { error: error.message });
+      return next();
+    }
+
+    setRateLimitHeaders(res, result);
+    if (result.allowed) return next();
+
+    req.log.warn(`🚦 Rate limited ${bucket.key}`);
+    next(new RateLimitError(result.resetSeconds));
+  };
+}
+
+/** Per client IP, applied to every API request */
+export const rateLimitByIp = rateLimit((req) => ({
+  key: `ip:${req.ip}`,
+  limit: CONFIG.RATE_LIMIT_PER_IP,
+}));
+
+/** Per API key, applied after authentication */
+export const rateLimitByKey = rateLimit((req) =>
+  req.apiKey
+    ? {
+        key: `key:${req.apiKey.id}`,
+        limit: req.apiKey.rateLimit || CONFIG.RATE_LIMIT_PER_KEY,
+      }
+    : null
+);
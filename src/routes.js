@@ -1,259 +1,447 @@
 import express from "express";
-import { v4 as uuidv4 } from "uuid";
 import {
   generateAnswer,
-  getChatHistory,
+  streamAnswer,
+  getChatHistoryPage,
   clearSession,
   getArticles,
-  getEmbeddingsCount,
+  isInitialized,
+  getStartupStatus,
+  getRefreshStatus,
+  getSessionSummary,
+  listArticles,
 } from "./services.js";
+import {
+  createSession,
+  getSession,
+  listSessions,
+  renameSession,
+} from "./sessions.js";
+import { checkDependencies } from "./health.js";
+import { authenticate, sessionScope } from "./auth.js";
+import { rateLimitByKey } from "./rateLimit.js";
+import { CONFIG } from "./config.js";
+import { redact } from "./logger.js";
+import {
+  NotFoundError,
+  ServiceUnavailableError,
+  errorResponse,
+} from "./errors.js";
+import { asyncHandler, validate } from "./validation.js";
+import * as schemas from "./schemas.js";
 
 const router = express.Router();
 
+// ============ HEALTH ============
+// Public, so load balancers and uptime checks don't need a key
+
+/**
+ * GET /api/health/live
+ * Liveness: the process is up and serving requests. Checks no dependencies.
+ */
+router.get("/health/live", validate(schemas.liveness), (req, res) => {
+  res.json({
+    success: true,
+    status: "alive",
+    uptime: process.uptime(),
+    timestamp: Date.now(),
+  });
+});
+
+/**
+ * GET /api/health/ready
+ * Readiness: services are initialized and Redis, Qdrant, the embedding
+ * provider and the LLM provider all respond. 503 otherwise.
+ */
+router.get(
+  "/health/ready",
+  validate(schemas.readiness),
+  asyncHandler(async (req, res) => {
+    const { healthy, checks } = await checkDependencies();
+    const initialized = isInitialized();
+    const ready = healthy && initialized;
+    const { running, progress } = getRefreshStatus();
+
+    res.status(ready ? 200 : 503).json({
+      success: ready,
+      status: ready ? "ready" : "not_ready",
+      initialized,
+      startup: getStartupStatus(),
+      ingestion: { running, progress },
+      checks,
+      timestamp: Date.now(),
+    });
+  })
+);
+
+/**
+ * GET /api/health
+ * Overall health with dependency checks and process info. 503 if any
+ * dependency is down.
+ */
+router.get(
+  "/health",
+  validate(schemas.health),
+  asyncHandler(async (req, res) => {
+    const { healthy, checks } = await checkDependencies();
+
+    res.status(healthy ? 200 : 503).json({
+      success: healthy,
+      status: healthy ? "healthy" : "unhealthy",
+      timestamp: Date.now(),
+      checks,
+      data: {
+        articlesLoaded: getArticles().length,
+        embeddingsCreated: checks.qdrant.points ?? null,
+        vectorDB: "Qdrant Cloud",
+        initialized: isInitialized(),
+        startup: getStartupStatus(),
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        node: process.version,
+      },
+    });
+  })
+);
+
+// Everything below needs an API key
+router.use(authenticate, rateLimitByKey);
+
 // ============ SESSION ROUTES ============
 
+/** Whether the caller's API key may use `session` */
+function canAccessSession(req, session) {
+  const scope = sessionScope(req);
+  return !scope || session.apiKeyId === scope;
+}
+
+/**
+ * Session metadata, or a 404 for unknown and expired sessions and for
+ * sessions created with another API key
+ */
+async function findSession(req, sessionId) {
+  const session = await getSession(sessionId);
+  if (!session || !canAccessSession(req, session)) {
+    throw new NotFoundError("Session not found", { code: "SESSION_NOT_FOUND" });
+  }
+  return session;
+}
+
 /**
  * POST /api/sessions
- * Create a new chat session
+ * Create a new chat session, optionally with an owner and a title
  */
-router.post("/sessions", (req, res) => {
-  try {
-    const sessionId = uuidv4();
-    console.log(`📝 Created new session: ${sessionId}`);
+router.post(
+  "/sessions",
+  validate(schemas.createSession),
+  asyncHandler(async (req, res) => {
+    const { ownerId, title = null } = req.body;
+
+    const session = await createSession({
+      ownerId,
+      title,
+      apiKeyId: req.apiKey?.id ?? null,
+    });
+    req.log.info("📝 Created new session", { sessionId: session.sessionId });
 
     res.status(201).json({
       success: true,
-      sessionId,
+      sessionId: session.sessionId,
+      session,
       message: "Session created successfully",
     });
-  } catch (error) {
-    console.error("Error creating session:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to create session",
+  })
+);
+
+/**
+ * GET /api/sessions
+ * List sessions by most recent activity; only those created with the
+ * caller's API key unless it is an admin key
+ * Query params: ownerId, limit (1-100, default 20), offset
+ */
+router.get(
+  "/sessions",
+  validate(schemas.listSessions),
+  asyncHandler(async (req, res) => {
+    const { ownerId, limit, offset } = req.query;
+    const { sessions, total } = await listSessions({
+      apiKeyId: sessionScope(req),
+      ownerId,
+      limit,
+      offset,
     });
-  }
-});
+
+    res.json({
+      success: true,
+      sessions,
+      count: sessions.length,
+      total,
+      limit,
+      offset,
+    });
+  })
+);
 
 /**
- * DELETE /api/sessions/:sessionId
- * Clear/delete a session
+ * GET /api/sessions/:sessionId
+ * Get session metadata
  */
-router.delete("/sessions/:sessionId", async (req, res) => {
-  try {
+router.get(
+  "/sessions/:sessionId",
+  validate(schemas.getSession),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      session: await findSession(req, req.params.sessionId),
+    });
+  })
+);
+
+/**
+ * PATCH /api/sessions/:sessionId
+ * Rename a session
+ */
+router.patch(
+  "/sessions/:sessionId",
+  validate(schemas.renameSession),
+  asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
+    await findSession(req, sessionId);
+    const session = await renameSession(sessionId, req.body.title);
 
-    if (!sessionId) {
-      return res.status(400).json({
-        success: false,
-        error: "Session ID is required",
-      });
-    }
+    res.json({
+      success: true,
+      session,
+    });
+  })
+);
 
-    const deleted = await clearSession(sessionId);
-    console.log(`🗑️  Session ${sessionId} cleared: ${deleted}`);
+/**
+ * DELETE /api/sessions/:sessionId
+ * Clear/delete a session created with the caller's API key
+ */
+router.delete(
+  "/sessions/:sessionId",
+  validate(schemas.deleteSession),
+  asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    const session = await getSession(sessionId);
+    const deleted =
+      session && canAccessSession(req, session)
+        ? await clearSession(sessionId)
+        : false;
+    req.log.info(`🗑️  Session cleared: ${deleted}`, { sessionId });
 
     res.json({
       success: true,
       deleted,
       message: deleted ? "Session cleared successfully" : "Session not found",
     });
-  } catch (error) {
-    console.error("Error clearing session:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to clear session",
-    });
-  }
-});
+  })
+);
 
 // ============ CHAT ROUTES ============
 
 /**
- * POST /api/chat
- * Send a message and get AI response
+ * Answer 503 until services are initialized; chat needs the Qdrant
+ * collection and keyword index
  */
-router.post("/chat", async (req, res) => {
-  try {
-    const { message, sessionId } = req.body;
+function requireReady(req, res, next) {
+  if (isInitialized()) return next();
 
-    // Validation
-    if (!message || typeof message !== "string") {
-      return res.status(400).json({
-        success: false,
-        error: "Message is required and must be a string",
-      });
-    }
+  next(
+    new ServiceUnavailableError("Service is starting up, try again shortly", {
+      code: "STARTING_UP",
+      retryAfter: CONFIG.INIT_RETRY_SECONDS,
+    })
+  );
+}
 
-    if (!sessionId) {
-      return res.status(400).json({
-        success: false,
-        error: "Session ID is required",
-      });
-    }
+/** Retrieval and generation overrides from a validated chat body */
+function chatOptions({ retrievalMode, recency, filters, generation }) {
+  return { retrievalMode, recency, filters, generation };
+}
 
-    if (message.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "Message cannot be empty",
-      });
-    }
+/**
+ * POST /api/chat
+ * Send a message and get AI response
+ */
+router.post(
+  "/chat",
+  requireReady,
+  validate(schemas.chat),
+  asyncHandler(async (req, res) => {
+    const { message, sessionId } = req.body;
+    await findSession(req, sessionId);
 
-    console.log(
-      `💬 [${sessionId.slice(0, 8)}] User: ${message.slice(0, 50)}...`
-    );
+    req.log.info("💬 Chat message", { sessionId, message: redact(message) });
 
     // Generate answer
-    const { answer, sources } = await generateAnswer(message, sessionId);
+    const { answer, sources, citations, rewrittenQuery, usage, cached } =
+      await generateAnswer(message, sessionId, {
+        ...chatOptions(req.body),
+        requestId: req.id,
+      });
 
     res.json({
       success: true,
       response: answer,
       sources,
+      citations,
+      rewrittenQuery,
+      usage,
+      cached,
       timestamp: Date.now(),
       sessionId,
     });
-  } catch (error) {
-    console.error("Error in chat:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || "Failed to generate response",
-      details: process.env.NODE_ENV === "development" ? error.stack : undefined,
+  })
+);
+
+/**
+ * POST /api/chat/stream
+ * Send a message and stream the AI response as Server-Sent Events.
+ * Events: `sources` (once), `token` (per text delta), then `done` or `error`.
+ * Errors before the stream starts get a regular JSON error response; the
+ * `error` event carries the same { error, code } fields.
+ */
+router.post(
+  "/chat/stream",
+  requireReady,
+  validate(schemas.chatStream),
+  asyncHandler(async (req, res) => {
+    const { message, sessionId } = req.body;
+    await findSession(req, sessionId);
+
+    req.log.info("💬 Chat message (stream)", {
+      sessionId,
+      message: redact(message),
     });
-  }
-});
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Stop generating as soon as the client goes away
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    try {
+      const { answer, sources, citations, usage, cached, interrupted } =
+        await streamAnswer(message, sessionId, {
+          ...chatOptions(req.body),
+          requestId: req.id,
+          signal: controller.signal,
+          onSources: (sources, meta) =>
+            sendEvent("sources", { sources, ...meta }),
+          onToken: (text) => sendEvent("token", { text }),
+        });
+
+      if (!interrupted) {
+        sendEvent("done", {
+          response: answer,
+          sources,
+          citations,
+          usage,
+          cached,
+          timestamp: Date.now(),
+          sessionId,
+        });
+      }
+    } catch (error) {
+      req.log.error("Error in chat stream", { error });
+      const { error: text, code } = errorResponse(error, req.id).body;
+      sendEvent("error", { error: text, code, requestId: req.id });
+    } finally {
+      res.end();
+    }
+  })
+);
 
 /**
  * GET /api/history/:sessionId
- * Get chat history for a session
+ * Get chat history for a session, newest page first
+ * Query params: before (message id cursor), limit (1-100, default 50)
  */
-router.get("/history/:sessionId", async (req, res) => {
-  try {
+router.get(
+  "/history/:sessionId",
+  validate(schemas.history),
+  asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
+    const { before, limit } = req.query;
 
-    if (!sessionId) {
-      return res.status(400).json({
-        success: false,
-        error: "Session ID is required",
-      });
-    }
-
-    const history = await getChatHistory(sessionId);
-    console.log(
-      `📜 Retrieved history for ${sessionId.slice(0, 8)}: ${
-        history.length
-      } messages`
-    );
+    const session = await findSession(req, sessionId);
+    const [{ messages: history, nextBefore }, summary] = await Promise.all([
+      getChatHistoryPage(sessionId, { before, limit }),
+      getSessionSummary(sessionId),
+    ]);
+    req.log.info(`📜 Retrieved history: ${history.length} messages`, {
+      sessionId,
+    });
 
     res.json({
       success: true,
       history,
       count: history.length,
+      nextBefore,
+      summary,
+      session,
       sessionId,
     });
-  } catch (error) {
-    console.error("Error getting history:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to retrieve history",
-    });
-  }
-});
+  })
+);
 
 // ============ UTILITY ROUTES ============
 
-/**
- * GET /api/health
- * Health check endpoint
- */
-// NEW
-router.get("/health", async (req, res) => {
-  // ✅ Added async
-  const articles = getArticles();
-  const embeddingsCount = await getEmbeddingsCount(); // ✅ Await the async function
-
-  res.json({
-    success: true,
-    status: "healthy",
-    timestamp: Date.now(),
-    data: {
-      articlesLoaded: articles.length,
-      embeddingsCreated: embeddingsCount, // ✅ Use the count from Qdrant
-      vectorDB: "Qdrant Cloud", // ✅ Added this info
-      uptime: process.uptime(),
-      memory: process.memoryUsage(),
-      node: process.version,
-    },
-  });
-});
-
 /**
  * GET /api/articles
- * Get list of all loaded articles
+ * List stored articles, newest first.
+ * Query: limit, source, domain, category (comma-separated), from, to
  */
-router.get("/articles", (req, res) => {
-  try {
-    const articles = getArticles();
-    const limit = parseInt(req.query.limit) || articles.length;
+router.get(
+  "/articles",
+  validate(schemas.articles),
+  asyncHandler(async (req, res) => {
+    const { limit, filters } = req.query;
+    const { articles, total } = await listArticles({ filters, limit });
 
     res.json({
       success: true,
-      articles: articles.slice(0, limit).map((a) => ({
+      articles: articles.map((a) => ({
         title: a.title,
         link: a.link,
         pubDate: a.pubDate,
-        preview: a.description.slice(0, 150) + "...",
+        source: a.source,
+        categories: a.categories || [],
+        preview: (a.description || "").slice(0, 150) + "...",
       })),
-      total: articles.length,
-      showing: Math.min(limit, articles.length),
+      total,
+      showing: articles.length,
+      ...(filters && { filters }),
     });
-  } catch (error) {
-    console.error("Error getting articles:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to retrieve articles",
-    });
-  }
-});
-
-/**
- * GET /api/stats
- * Get system statistics
- */
-// NEW
-router.get("/stats", async (req, res) => {
-  // ✅ Added async
-
-  const articles = getArticles();
-  const embeddingsCount = await getEmbeddingsCount(); // ✅ Await
-
-  res.json({
-    success: true,
-    stats: {
-      totalArticles: articles.length,
-      totalEmbeddings: embeddingsCount, // ✅ Use count from Qdrant
-      vectorDB: "Qdrant Cloud",
-      sources: articles.reduce((acc, article) => {
-        const domain = new URL(article.link).hostname;
-        acc[domain] = (acc[domain] || 0) + 1;
-        return acc;
-      }, {}),
-      oldestArticle: articles[articles.length - 1]?.pubDate,
-      newestArticle: articles[0]?.pubDate,
-    },
-  });
-});
+  })
+);
 
 /**
  * 404 handler
  */
-router.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: "Endpoint not found",
-    path: req.path,
-    method: req.method,
-  });
+router.use((req, res, next) => {
+  next(
+    new NotFoundError(`Endpoint not found: ${req.method} ${req.originalUrl}`, {
+      code: "ROUTE_NOT_FOUND",
+    })
+  );
 });
 
 export default router;
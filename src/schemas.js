@@ -0,0 +1,474 @@
+import { z } from "zod";
+import { RETRIEVAL_MODES } from "./services.js";
+import { SOURCE_TYPES, sourceErrors } from "./sources.js";
+import { API_KEY_ROLES } from "./auth.js";
+import { normalizeFilters } from "./filters.js";
+import { resolveGenerationConfig } from "./llm.js";
+import { CONFIG } from "./config.js";
+
+// Request and response schemas for every endpoint, applied by
+// validate() in validation.js. Response schemas describe success bodies;
+// every error has the shape of `errorBody`.
+
+// ============ HELPERS ============
+
+/** Integer query parameter, coerced from its string form */
+const queryInt = ({ min, max, fallback }) => {
+  let schema = z.coerce.number().int();
+  if (min !== undefined) schema = schema.min(min);
+  if (max !== undefined) schema = schema.max(max);
+  return fallback === undefined ? schema.optional() : schema.default(fallback);
+};
+
+/**
+ * Value checked by an existing validator that throws (normalizeFilters,
+ * resolveGenerationConfig); its error message becomes the issue
+ */
+const checkedBy = (check) =>
+  z.any().transform((value, ctx) => {
+    try {
+      return check(value);
+    } catch (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+      return z.NEVER;
+    }
+  });
+
+/** A news source definition, checked by sourceErrors */
+const sourceDefinition = z.any().superRefine((value, ctx) => {
+  for (const error of sourceErrors(value)) {
+    const [path, ...rest] = error.split(" ");
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: rest.join(" "),
+      path: path.split(".").slice(1),
+    });
+  }
+});
+
+const ok = (shape) => z.object({ success: z.literal(true), ...shape });
+
+export const errorBody = z.object({
+  success: z.literal(false),
+  error: z.string(),
+  code: z.string(),
+  details: z
+    .array(z.object({ field: z.string(), message: z.string() }))
+    .optional(),
+  retryAfter: z.number().optional(),
+  requestId: z.string(),
+});
+
+// ============ SHARED SHAPES ============
+
+const session = z.object({
+  sessionId: z.string(),
+  title: z.string().nullable(),
+  ownerId: z.string().nullable(),
+  apiKeyId: z.string().nullable().optional(),
+  createdAt: z.number(),
+  lastActiveAt: z.number(),
+  messageCount: z.number(),
+});
+
+const message = z
+  .object({
+    id: z.string(),
+    role: z.enum(["user", "assistant"]),
+    content: z.string(),
+    timestamp: z.number(),
+  })
+  .passthrough();
+
+const answerSource = z
+  .object({ index: z.number(), title: z.string(), link: z.string() })
+  .passthrough();
+
+const usage = z.object({ promptTokens: z.number() }).passthrough();
+
+const checks = z.record(
+  z
+    .object({ status: z.enum(["up", "down"]), latencyMs: z.number() })
+    .passthrough()
+);
+
+const startup = z.object({
+  phase: z.enum(["starting", "initializing", "ready", "failed"]),
+  attempts: z.number(),
+  readyAt: z.number().nullable(),
+  lastError: z.string().nullable(),
+});
+
+const source = z
+  .object({
+    id: z.string(),
+    type: z.enum(SOURCE_TYPES),
+    url: z.string(),
+    enabled: z.boolean(),
+    limit: z.number(),
+  })
+  .passthrough();
+
+const sourceWithStats = source.extend({
+  stats: z.object({ healthy: z.boolean() }).passthrough().nullable(),
+});
+
+const apiKey = z.object({
+  id: z.string(),
+  name: z.string(),
+  role: z.enum(API_KEY_ROLES),
+  rateLimit: z.number().nullable(),
+  createdAt: z.number(),
+});
+
+// ============ HEALTH ============
+
+export const liveness = {
+  response: {
+    200: ok({
+      status: z.literal("alive"),
+      uptime: z.number(),
+      timestamp: z.number(),
+    }),
+  },
+};
+
+const readinessBody = z.object({
+  success: z.boolean(),
+  status: z.enum(["ready", "not_ready"]),
+  initialized: z.boolean(),
+  startup,
+  ingestion: z.object({
+    running: z.boolean(),
+    progress: z.object({}).passthrough().nullable(),
+  }),
+  checks,
+  timestamp: z.number(),
+});
+
+export const readiness = {
+  response: { 200: readinessBody, 503: readinessBody },
+};
+
+const healthBody = z.object({
+  success: z.boolean(),
+  status: z.enum(["healthy", "unhealthy"]),
+  timestamp: z.number(),
+  checks,
+  data: z
+    .object({
+      articlesLoaded: z.number(),
+      embeddingsCreated: z.number().nullable(),
+      initialized: z.boolean(),
+      startup,
+      uptime: z.number(),
+    })
+    .passthrough(),
+});
+
+export const health = {
+  response: { 200: healthBody, 503: healthBody },
+};
+
+// ============ SESSIONS ============
+
+const SESSION_TITLE_MAX_CHARS = 200;
+
+const title = z
+  .string({ invalid_type_error: "title must be a string" })
+  .trim()
+  .min(1, "title must not be empty")
+  .max(
+    SESSION_TITLE_MAX_CHARS,
+    `title must be at most ${SESSION_TITLE_MAX_CHARS} characters`
+  );
+
+const sessionParams = z.object({ sessionId: z.string().min(1) });
+
+export const createSession = {
+  body: z.object({
+    ownerId: z.string().min(1, "ownerId must not be empty").optional(),
+    title: title.optional(),
+  }),
+  response: {
+    201: ok({ sessionId: z.string(), session, message: z.string() }),
+  },
+};
+
+export const listSessions = {
+  query: z.object({
+    ownerId: z.string().min(1).optional(),
+    limit: queryInt({ min: 1, max: 100, fallback: 20 }),
+    offset: queryInt({ min: 0, fallback: 0 }),
+  }),
+  response: {
+    200: ok({
+      sessions: z.array(session),
+      count: z.number(),
+      total: z.number(),
+      limit: z.number(),
+      offset: z.number(),
+    }),
+  },
+};
+
+export const getSession = {
+  params: sessionParams,
+  response: { 200: ok({ session }) },
+};
+
+export const renameSession = {
+  params: sessionParams,
+  body: z.object({ title }),
+  response: { 200: ok({ session }) },
+};
+
+export const deleteSession = {
+  params: sessionParams,
+  response: { 200: ok({ deleted: z.boolean(), message: z.string() }) },
+};
+
+// ============ CHAT ============
+
+// The question always goes into the prompt in full, so a long one would
+// crowd out the sources
+const MESSAGE_MAX_CHARS = 4000;
+
+const chatBody = z.object({
+  message: z
+    .string({
+      required_error: "Message is required",
+      invalid_type_error: "Message must be a string",
+    })
+    .max(
+      MESSAGE_MAX_CHARS,
+      `Message must be at most ${MESSAGE_MAX_CHARS} characters`
+    )
+    .refine((text) => text.trim().length > 0, "Message cannot be empty"),
+  sessionId: z
+    .string({ required_error: "Session ID is required" })
+    .min(1, "Session ID is required"),
+  retrievalMode: z.enum(RETRIEVAL_MODES).optional(),
+  recency: z.boolean().optional(),
+  filters: checkedBy(normalizeFilters),
+  generation: checkedBy((generation) => {
+    resolveGenerationConfig(generation);
+    return generation;
+  }),
+});
+
+export const chat = {
+  body: chatBody,
+  response: {
+    200: ok({
+      response: z.string(),
+      sources: z.array(answerSource),
+      citations: z.array(z.object({}).passthrough()),
+      rewrittenQuery: z.string().nullable(),
+      usage: usage.nullable(),
+      cached: z.boolean(),
+      timestamp: z.number(),
+      sessionId: z.string(),
+    }),
+  },
+};
+
+// Responds with Server-Sent Events (`sources`, `token`, `done`, `error`)
+export const chatStream = {
+  body: chatBody,
+};
+
+export const history = {
+  params: sessionParams,
+  query: z.object({
+    before: z
+      .string()
+      .regex(/^\d+-\d+$/, "before must be a message id")
+      .optional(),
+    limit: queryInt({ min: 1, max: 100, fallback: 50 }),
+  }),
+  response: {
+    200: ok({
+      history: z.array(message),
+      count: z.number(),
+      nextBefore: z.string().nullable(),
+      summary: z.object({ text: z.string() }).passthrough().nullable(),
+      session,
+      sessionId: z.string(),
+    }),
+  },
+};
+
+// ============ ARTICLES ============
+
+export const articles = {
+  query: z
+    .object({
+      limit: queryInt({ min: 1, max: 500, fallback: CONFIG.MAX_ARTICLES }),
+      source: z.string().optional(),
+      domain: z.string().optional(),
+      category: z.string().optional(),
+      from: z.string().optional(),
+      to: z.string().optional(),
+    })
+    .transform(({ limit, ...raw }, ctx) => {
+      try {
+        return { limit, filters: normalizeFilters(raw) };
+      } catch (error) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+        return z.NEVER;
+      }
+    }),
+  response: {
+    200: ok({
+      articles: z.array(
+        z
+          .object({
+            title: z.string(),
+            link: z.string(),
+            categories: z.array(z.string()),
+            preview: z.string(),
+          })
+          .passthrough()
+      ),
+      total: z.number(),
+      showing: z.number(),
+      filters: z.object({}).passthrough().optional(),
+    }),
+  },
+};
+
+// ============ ADMIN ============
+
+export const stats = {
+  response: { 200: ok({ stats: z.object({}).passthrough() }) },
+};
+
+export const refreshStatus = {
+  response: {
+    200: ok({
+      refresh: z
+        .object({
+          running: z.boolean(),
+          progress: z.object({}).passthrough().nullable(),
+        })
+        .passthrough(),
+    }),
+  },
+};
+
+const sourceParams = z.object({ sourceId: z.string().min(1) });
+
+export const listSources = {
+  response: {
+    200: ok({
+      sources: z.array(sourceWithStats),
+      count: z.number(),
+      unhealthy: z.number(),
+    }),
+  },
+};
+
+export const createSource = {
+  body: sourceDefinition,
+  response: { 201: ok({ source }) },
+};
+
+export const reloadSources = {
+  query: z.object({
+    overwrite: z
+      .enum(["true", "false"])
+      .default("false")
+      .transform((value) => value === "true"),
+  }),
+  response: {
+    200: ok({
+      added: z.array(z.string()),
+      overwritten: z.array(z.string()),
+      kept: z.array(z.string()),
+    }),
+  },
+};
+
+export const testSource = {
+  body: z
+    .object({
+      sourceId: z.string().min(1).optional(),
+      source: sourceDefinition.optional(),
+      url: z
+        .string()
+        .url("url must be an http(s) URL")
+        .regex(/^https?:/i, "url must be an http(s) URL")
+        .optional(),
+      content: z.string().optional(),
+    })
+    .refine((body) => body.sourceId !== undefined || body.source, {
+      message: "Either sourceId or source is required",
+      path: ["sourceId"],
+    }),
+  response: {
+    200: ok({
+      source,
+      result: z
+        .object({
+          ok: z.boolean(),
+          url: z.string(),
+          count: z.number(),
+          articles: z.array(z.object({}).passthrough()),
+        })
+        .passthrough(),
+    }),
+  },
+};
+
+export const getSource = {
+  params: sourceParams,
+  response: { 200: ok({ source: sourceWithStats }) },
+};
+
+export const updateSource = {
+  params: sourceParams,
+  // Checked against the full definition once merged with the stored source
+  body: z.object({}).passthrough(),
+  response: { 200: ok({ source }) },
+};
+
+export const deleteSource = {
+  params: sourceParams,
+  response: { 200: ok({ deleted: z.literal(true) }) },
+};
+
+export const ingestSource = {
+  params: sourceParams,
+  response: {
+    200: ok({
+      ingestion: z
+        .object({ sourceId: z.string(), added: z.number() })
+        .passthrough(),
+      source: sourceWithStats,
+    }),
+  },
+};
+
+export const createApiKey = {
+  body: z.object({
+    name: z
+      .string({
+        required_error: "name is required",
+        invalid_type_error: "name must be a string",
+      })
+      .min(1, "name is required"),
+    role: z.enum(API_KEY_ROLES).default("user"),
+    rateLimit: z.number().int().positive().nullable().default(null),
+  }),
+  response: { 201: ok({ apiKey: apiKey.extend({ key: z.string() }) }) },
+};
+
+export const listApiKeys = {
+  response: { 200: ok({ apiKeys: z.array(apiKey), count: z.number() }) },
+};
+
+export const revokeApiKey = {
+  params: z.object({ keyId: z.string().min(1) }),
+  response: { 200: ok({ revoked: z.literal(true) }) },
+};
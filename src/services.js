@@ -1,154 +1,338 @@
 import fetch from "node-fetch";
 import * as cheerio from "cheerio";
-import { redisClient, geminiModel, qdrantClient, CONFIG } from "./config.js";
+import { redisClient, connectRedis, qdrantClient, CONFIG } from "./config.js";
+import { logger, redact } from "./logger.js";
+import {
+  articleIdFor,
+  dedupeArticles,
+  findNearDuplicate,
+  mergeSources,
+  titleTokens,
+} from "./dedupe.js";
+import { parseFeed } from "./feedParser.js";
+import {
+  getSources,
+  initializeSources,
+  recordArticlesAdded,
+  recordSourceRun,
+} from "./sources.js";
+import { extractArticleBodies } from "./extractor.js";
+import { chunkArticle } from "./chunker.js";
+import { embeddingProvider, embeddingSignature } from "./embeddings.js";
+import { createKeywordIndex, reciprocalRankFusion } from "./keywordIndex.js";
+import { FILTER_INDEXES, buildQdrantFilter, filterFields } from "./filters.js";
+import { resolveCitations } from "./citations.js";
+import { llmProvider, resolveGenerationConfig } from "./llm.js";
+import { UpstreamError, UpstreamTimeoutError } from "./errors.js";
+import { rewriteQuery } from "./queryRewriter.js";
+import {
+  buildPrompt,
+  estimateTokens,
+  formatRelevance,
+} from "./promptBuilder.js";
+import { summarizeConversation } from "./summarizer.js";
+import { deleteSession, touchSession } from "./sessions.js";
+import {
+  appendMessages,
+  countMessages,
+  migrateLegacyHistory,
+  readMessages,
+  readMessagesPage,
+  trimMessagesBefore,
+} from "./history.js";
+import {
+  cacheAnswer,
+  cacheScope,
+  findCachedAnswer,
+  initializeAnswerCache,
+  invalidateAnswerCache,
+} from "./answerCache.js";
+import {
+  recordCacheLookup,
+  recordEmbeddingRequest,
+  recordSourceFetch,
+  startStageTimer,
+  timeStage,
+} from "./metrics.js";
 
 // ============ NEWS SERVICE ============
 let newsArticles = [];
+// Articles already stored in Qdrant, keyed by article ID, so refreshes only
+// embed new articles and can merge duplicate stories into existing points
+const indexedArticles = new Map();
+// BM25 index over every stored passage, keyed by Qdrant point ID
+const keywordIndex = createKeywordIndex();
+
+export const RETRIEVAL_MODES = ["vector", "keyword", "hybrid"];
+
+// ============ SOURCE FETCHING ============
+const FETCH_TIMEOUT_MS = 10000;
+
+async function fetchText(url) {
+  const response = await fetch(url, {
+    headers: {
+      "User-Agent":
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+    },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+  return response.text();
+}
 
-// ============ WEB SCRAPING FUNCTION ============
-async function scrapeWebsite(siteConfig) {
-  try {
-    console.log(`  🌐 Scraping ${siteConfig.name}...`);
+/**
+ * Extract articles from a scrape source's HTML. `matched` is how many
+ * elements the article selector found, to tell a broken article selector
+ * from broken title/link selectors.
+ */
+function scrapeArticles(html, site, pageUrl = site.url) {
+  const $ = cheerio.load(html);
 
-    const response = await fetch(siteConfig.url, {
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-      },
-      timeout: 10000,
-    });
+  const articles = [];
+  const articleElements = $(site.selector.article);
+
+  articleElements.each((index, element) => {
+    if (articles.length >= site.limit) return false;
 
-    const html = await response.text();
-    const $ = cheerio.load(html);
-
-    const articles = [];
-    const articleElements = $(siteConfig.selector.article);
-
-    articleElements.each((index, element) => {
-      if (index >= 15) return; // Limit to 15 per site
-
-      try {
-        const $el = $(element);
-        const title = $el.find(siteConfig.selector.title).first().text().trim();
-        const description = $el
-          .find(siteConfig.selector.description)
-          .first()
-          .text()
-          .trim();
-        let link = $el.find(siteConfig.selector.link).first().attr("href");
-
-        // Handle relative URLs
-        if (link && !link.startsWith("http")) {
-          const baseUrl = new URL(siteConfig.url);
-          link = `${baseUrl.origin}${link.startsWith("/") ? "" : "/"}${link}`;
-        }
-
-        if (title && link) {
-          articles.push({
-            id: `${siteConfig.name}-${index}`,
-            title: title.substring(0, 200),
-            description: description ? description.substring(0, 500) : title,
-            link,
-            pubDate: new Date().toISOString(),
-            fullText: `${title} ${description || ""}`.substring(0, 2000),
-            source: siteConfig.name,
-          });
-        }
-      } catch (err) {
-        // Skip problematic articles
+    try {
+      const $el = $(element);
+      const title = $el.find(site.selector.title).first().text().trim();
+      const description = site.selector.description
+        ? $el.find(site.selector.description).first().text().trim()
+        : "";
+      let link = $el.find(site.selector.link).first().attr("href");
+
+      // Handle relative URLs
+      if (link) link = new URL(link, pageUrl).href;
+
+      if (title && link) {
+        articles.push({
+          id: articleIdFor(link),
+          title: title.substring(0, 200),
+          description: description ? description.substring(0, 500) : title,
+          link,
+          pubDate: new Date().toISOString(),
+          fullText: `${title} ${description || ""}`.substring(0, 2000),
+          source: site.name,
+          sourceId: site.id,
+          feed: site.url,
+        });
       }
-    });
+    } catch (err) {
+      // Skip problematic articles
+    }
+  });
 
-    console.log(
-      `    ✓ Scraped ${articles.length} articles from ${siteConfig.name}`
-    );
-    return articles;
-  } catch (error) {
-    console.error(`    ✗ Failed to scrape ${siteConfig.name}:`, error.message);
-    return [];
-  }
+  return { articles, matched: articleElements.length };
 }
 
-// ============ RSS PARSING FUNCTION ============
-async function fetchRSSFeed(feedUrl) {
-  try {
-    const response = await fetch(feedUrl, { timeout: 10000 });
-    const xmlText = await response.text();
-    const items = xmlText.match(/<item>[\s\S]*?<\/item>/g) || [];
-
-    const articles = items.slice(0, 20).map((item, index) => {
-      const title =
-        item.match(/<title><!\[CDATA\[(.*?)\]\]><\/title>/)?.[1] ||
-        item.match(/<title>(.*?)<\/title>/)?.[1] ||
-        "";
-
-      const description =
-        item.match(/<description><!\[CDATA\[(.*?)\]\]><\/description>/)?.[1] ||
-        item.match(/<description>(.*?)<\/description>/)?.[1] ||
-        "";
+function feedArticles(xmlText, source, feedUrl = source.url) {
+  const feed = parseFeed(xmlText, { feedUrl, limit: source.limit });
+  const fetchedAt = Date.now();
+
+  const articles = feed.items.map((item) => ({
+    id: articleIdFor(item.link),
+    title: item.title,
+    description: item.description,
+    link: item.link,
+    pubDate: item.pubDate,
+    fullText: `${item.title} ${item.content || item.description}`,
+    source: source.name || feed.title || "RSS Feed",
+    sourceId: source.id,
+    feed: feedUrl,
+    author: item.author,
+    categories: item.categories,
+    imageUrl: item.imageUrl,
+    fetchedAt,
+  }));
+
+  return { articles, format: feed.format, feedTitle: feed.title };
+}
 
-      const link = item.match(/<link>(.*?)<\/link>/)?.[1] || "";
-      const pubDate = item.match(/<pubDate>(.*?)<\/pubDate>/)?.[1] || "";
+/**
+ * Fetch and parse one source. `url` overrides the source's URL and
+ * `content` skips fetching entirely (saved HTML or XML). Throws on fetch
+ * or parse errors.
+ */
+async function fetchSourceArticles(source, { url, content } = {}) {
+  const target = url || source.url;
+  const body = content ?? (await fetchText(target));
+  return source.type === "scrape"
+    ? scrapeArticles(body, source, target)
+    : feedArticles(body, source, target);
+}
 
-      return {
-        id: `${feedUrl}-${index}`,
-        title: title.replace(/<[^>]*>/g, ""),
-        description: description.replace(/<[^>]*>/g, ""),
-        link,
-        pubDate,
-        fullText: `${title} ${description}`.replace(/<[^>]*>/g, ""),
-        source: "RSS Feed",
-      };
+/**
+ * Dry run of one source: fetch (or use `content`), extract and report what
+ * was found, without storing anything or touching the source's health.
+ */
+export async function testSource(source, { url, content } = {}) {
+  const startedAt = Date.now();
+  try {
+    const { articles, ...details } = await fetchSourceArticles(source, {
+      url,
+      content,
     });
-
-    console.log(
-      `  ✓ Fetched ${articles.length} articles from ${feedUrl.split("/")[2]}`
-    );
-    return articles;
-  } catch (err) {
-    console.error(`  ✗ Failed to fetch ${feedUrl}:`, err.message);
-    return [];
+    return {
+      ok: articles.length > 0,
+      url: url || source.url,
+      durationMs: Date.now() - startedAt,
+      ...details,
+      count: articles.length,
+      articles,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      url: url || source.url,
+      durationMs: Date.now() - startedAt,
+      error: error.message,
+      count: 0,
+      articles: [],
+    };
   }
 }
 
 // ============ COMBINED NEWS FETCHING ============
-export async function fetchNewsArticles() {
-  try {
-    console.log("📰 Fetching news articles from multiple sources...\n");
-    let allArticles = [];
 
-    // 1. Fetch from RSS feeds
-    console.log("📡 Fetching RSS feeds...");
-    for (const feedUrl of CONFIG.NEWS_FEEDS) {
-      const articles = await fetchRSSFeed(feedUrl);
+/**
+ * Fetch every given source, recording per-source stats, and merge
+ * duplicate stories. A failing source is logged and skipped.
+ */
+async function fetchFromSources(sources) {
+  let allArticles = [];
+  updateProgress({
+    phase: "fetching",
+    sourcesTotal: sources.length,
+    sourcesDone: 0,
+  });
+
+  for (const [i, source] of sources.entries()) {
+    const label = source.name || source.url.split("/")[2];
+    try {
+      const { articles, matched } = await fetchSourceArticles(source);
+      await recordSourceRun(source.id, { count: articles.length });
+      recordSourceFetch(source.id, { count: articles.length });
       allArticles = allArticles.concat(articles);
-    }
 
-    // 2. Scrape from websites
-    console.log("\n🕷️  Scraping websites...");
-    for (const site of CONFIG.SCRAPE_SITES) {
-      const scrapedArticles = await scrapeWebsite(site);
-      allArticles = allArticles.concat(scrapedArticles);
+      logger.info(
+        `  ✓ ${source.type === "scrape" ? "Scraped" : "Fetched"} ${
+          articles.length
+        } articles from ${label}${
+          matched !== undefined ? ` (${matched} elements matched)` : ""
+        }`
+      );
+    } catch (error) {
+      await recordSourceRun(source.id, { error: error.message });
+      recordSourceFetch(source.id, { error: error.message });
+      logger.warn(`  ✗ Failed to fetch ${label}`, { error: error.message });
+    }
+    updateProgress({ sourcesDone: i + 1 });
 
-      // Delay to avoid rate limiting
+    // Delay to avoid rate limiting
+    if (source.type === "scrape" && sources.length > 1) {
       await new Promise((resolve) => setTimeout(resolve, 1000));
     }
+  }
 
-    newsArticles = allArticles.slice(0, CONFIG.MAX_ARTICLES);
-    console.log(
-      `\n✅ Loaded ${newsArticles.length} total articles (RSS: ${CONFIG.NEWS_FEEDS.length} feeds, Scraped: ${CONFIG.SCRAPE_SITES.length} sites)`
+  const uniqueArticles = dedupeArticles(allArticles);
+  logger.info(
+    `🧹 Merged ${allArticles.length - uniqueArticles.length} duplicate articles`
+  );
+  return uniqueArticles;
+}
+
+export async function fetchNewsArticles() {
+  try {
+    logger.info("📰 Fetching news articles from multiple sources...");
+
+    const enabled = (await getSources()).filter((s) => s.enabled);
+    const uniqueArticles = await fetchFromSources(enabled);
+
+    newsArticles = uniqueArticles;
+    logger.info(
+      `✅ Loaded ${newsArticles.length} total articles from ${enabled.length} sources`
     );
     return newsArticles;
   } catch (error) {
-    console.error("❌ Error fetching articles:", error);
+    logger.error("❌ Error fetching articles", { error });
     throw error;
   }
 }
 
 // ============ QDRANT INITIALIZATION ============
+async function createCollection() {
+  logger.info(`📦 Creating collection: ${CONFIG.QDRANT_COLLECTION}`);
+  await qdrantClient.createCollection(CONFIG.QDRANT_COLLECTION, {
+    vectors: {
+      size: embeddingProvider.dimensions,
+      distance: "Cosine",
+    },
+    metadata: embeddingSignature(),
+  });
+  logger.info(
+    `✅ Collection '${CONFIG.QDRANT_COLLECTION}' created successfully`
+  );
+}
+
+/**
+ * Make sure the existing collection was built with the configured embedding
+ * provider. Mixing vector spaces makes search meaningless, so on mismatch
+ * either drop and re-index the collection (EMBEDDING_REINDEX_ON_MISMATCH) or
+ * refuse to start.
+ */
+async function verifyCollectionEmbeddings() {
+  const info = await qdrantClient.getCollection(CONFIG.QDRANT_COLLECTION);
+  const stored = info.config?.metadata || {};
+  const expected = embeddingSignature();
+
+  const matches = Object.keys(expected).every(
+    (key) => stored[key] === expected[key]
+  );
+  if (matches) return;
+
+  const storedLabel = stored.embeddingProvider
+    ? `${stored.embeddingProvider}/${stored.embeddingModel} (${stored.vectorSize}d)`
+    : "unknown provider";
+  const expectedLabel = `${expected.embeddingProvider}/${expected.embeddingModel} (${expected.vectorSize}d)`;
+
+  if (!CONFIG.EMBEDDING_REINDEX_ON_MISMATCH) {
+    const error = new Error(
+      `Collection '${CONFIG.QDRANT_COLLECTION}' was built with ${storedLabel} but ${expectedLabel} is configured. ` +
+        "Set EMBEDDING_REINDEX_ON_MISMATCH=true to rebuild it, or use a different QDRANT_COLLECTION."
+    );
+    error.fatal = true;
+    throw error;
+  }
+
+  logger.warn(
+    `⚠️  Collection built with ${storedLabel}, re-indexing with ${expectedLabel}`
+  );
+  await qdrantClient.deleteCollection(CONFIG.QDRANT_COLLECTION);
+  await createCollection();
+}
+
+async function ensurePayloadIndexes() {
+  for (const [field, schema] of Object.entries(FILTER_INDEXES)) {
+    await qdrantClient.createPayloadIndex(CONFIG.QDRANT_COLLECTION, {
+      field_name: field,
+      field_schema: schema,
+      wait: true,
+    });
+  }
+  logger.info(
+    `🗂️  Payload indexes ready: ${Object.keys(FILTER_INDEXES).join(", ")}`
+  );
+}
+
 export async function initializeQdrant() {
   try {
-    console.log("🔄 Initializing Qdrant collection...");
+    logger.info("🔄 Initializing Qdrant collection...");
+    logger.info(
+      `🧮 Embedding provider: ${embeddingProvider.name} (${embeddingProvider.model})`
+    );
 
     const collections = await qdrantClient.getCollections();
     const collectionExists = collections.collections.some(
@@ -156,275 +340,780 @@ export async function initializeQdrant() {
     );
 
     if (!collectionExists) {
-      console.log(`📦 Creating collection: ${CONFIG.QDRANT_COLLECTION}`);
-      await qdrantClient.createCollection(CONFIG.QDRANT_COLLECTION, {
-        vectors: {
-          size: CONFIG.VECTOR_SIZE,
-          distance: "Cosine",
-        },
-      });
-      console.log(
-        `✅ Collection '${CONFIG.QDRANT_COLLECTION}' created successfully`
-      );
+      await createCollection();
     } else {
-      console.log(`✅ Collection '${CONFIG.QDRANT_COLLECTION}' already exists`);
+      logger.info(`✅ Collection '${CONFIG.QDRANT_COLLECTION}' already exists`);
+      await verifyCollectionEmbeddings();
     }
+
+    await ensurePayloadIndexes();
+    if (CONFIG.ANSWER_CACHE_ENABLED) await initializeAnswerCache();
   } catch (error) {
-    console.error("❌ Failed to initialize Qdrant:", error.message);
+    logger.error("❌ Failed to initialize Qdrant", { error: error.message });
     throw error;
   }
 }
 
 // ============ EMBEDDING SERVICE ============
-async function getJinaBatchEmbeddings(texts) {
+async function embedTexts(texts) {
   try {
-    if (!process.env.JINA_API_KEY) {
-      throw new Error("No Jina API key");
-    }
-
-    const processedTexts = texts.map((text) => text.slice(0, 8000));
-    console.log(`  📊 Calling Jina API for ${texts.length} texts...`);
-
-    const response = await fetch(CONFIG.JINA_API_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.JINA_API_KEY}`,
-      },
-      body: JSON.stringify({
-        input: processedTexts,
-        model: CONFIG.JINA_MODEL,
-      }),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Jina API error ${response.status}: ${errorText}`);
-    }
-
-    const data = await response.json();
-    console.log(`  ✅ Received ${data.data.length} embeddings from Jina`);
-    return data.data.map((item) => item.embedding);
+    const embeddings = await embeddingProvider.embed(texts);
+    recordEmbeddingRequest(embeddingProvider.name, true);
+    return embeddings;
   } catch (error) {
-    console.log(`  ⚠️ Jina API error: ${error.message}, using fallback`);
-    return texts.map((text) => createSimpleEmbedding(text));
+    recordEmbeddingRequest(embeddingProvider.name, false);
+    if (error instanceof UpstreamTimeoutError) throw error;
+    throw new UpstreamError("The embedding request failed", {
+      code: "EMBEDDING_ERROR",
+      cause: error,
+    });
   }
 }
 
-async function getJinaEmbedding(text) {
-  const embeddings = await getJinaBatchEmbeddings([text]);
+async function embedQuery(text) {
+  const embeddings = await timeStage("embedding", () => embedTexts([text]));
   return embeddings[0];
 }
 
-function createSimpleEmbedding(text) {
-  const words = text.toLowerCase().match(/\b\w+\b/g) || [];
-  const wordFreq = {};
-  words.forEach((word) => {
-    if (word.length > 2) {
-      wordFreq[word] = (wordFreq[word] || 0) + 1;
-    }
+// ============ STORE EMBEDDINGS IN QDRANT ============
+function indexArticle(payload) {
+  const id = payload.articleId || articleIdFor(payload.link);
+  indexedArticles.set(id, {
+    articleId: id,
+    title: payload.title,
+    titleTokens: titleTokens(payload.title),
+    pubTimestamp: payload.pubTimestamp ?? filterFields(payload).pubTimestamp,
+    sources: payload.sources || [
+      { name: payload.source, feed: payload.feed, link: payload.link },
+    ],
   });
+}
 
-  const topWords = Object.entries(wordFreq)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 100);
-  const vocab = topWords.map(([word]) => word);
-  const embedding = vocab.map((word) => wordFreq[word] || 0);
+function keywordText(payload) {
+  return `${payload.title} ${payload.passage ?? payload.fullText ?? ""}`;
+}
 
-  while (embedding.length < 768) {
-    embedding.push(0);
-  }
+async function loadIndexedArticles() {
+  indexedArticles.clear();
+  keywordIndex.clear();
+  let offset;
+
+  do {
+    const page = await qdrantClient.scroll(CONFIG.QDRANT_COLLECTION, {
+      limit: 256,
+      offset,
+      with_payload: [
+        "articleId",
+        "title",
+        "link",
+        "source",
+        "feed",
+        "sources",
+        "passage",
+        "fullText",
+        "pubDate",
+        "categories",
+        "pubTimestamp",
+        "sortTimestamp",
+      ],
+      with_vector: false,
+    });
+    for (const point of page.points) {
+      if (!point.payload?.link) continue;
+      indexArticle(point.payload);
+      keywordIndex.add(point.id, keywordText(point.payload));
+
+      // Points stored before metadata filters (or listing order) existed
+      // lack those fields; undated ones are listed as fetched now
+      if (point.payload.sortTimestamp === undefined) {
+        await qdrantClient.setPayload(CONFIG.QDRANT_COLLECTION, {
+          points: [point.id],
+          payload: filterFields(point.payload),
+        });
+      }
+    }
+    offset = page.next_page_offset;
+  } while (offset !== null && offset !== undefined);
 
-  return embedding.slice(0, 768);
+  logger.info(
+    `📚 ${indexedArticles.size} articles (${keywordIndex.size} passages) already indexed in Qdrant`
+  );
 }
 
-// ============ STORE EMBEDDINGS IN QDRANT ============
-export async function createArticleEmbeddings() {
-  console.log("🔄 Creating embeddings with batching...");
+async function updateIndexedSources(entries) {
+  for (const entry of entries) {
+    const { sourceNames, domains } = filterFields(entry);
+    // Update every passage of the article
+    await qdrantClient.setPayload(CONFIG.QDRANT_COLLECTION, {
+      wait: true,
+      filter: {
+        must: [{ key: "articleId", match: { value: entry.articleId } }],
+      },
+      payload: {
+        sources: entry.sources,
+        sourceNames,
+        domains,
+      },
+    });
+  }
+  if (entries.length > 0) {
+    logger.info(`🔗 Added new sources to ${entries.length} existing articles`);
+  }
+}
+
+export async function createArticleEmbeddings(articles = newsArticles) {
+  logger.info("🔄 Creating embeddings with batching...");
+  const articlesById = new Map(articles.map((a) => [a.id, a]));
+  const passages = articles.flatMap((article) => chunkArticle(article));
+  logger.info(
+    `✂️  Split ${articles.length} articles into ${passages.length} passages`
+  );
+
   const batchSize = CONFIG.BATCH_SIZE;
-  const totalBatches = Math.ceil(newsArticles.length / batchSize);
+  const totalBatches = Math.ceil(passages.length / batchSize);
+  updateProgress({
+    phase: "embedding",
+    passagesTotal: passages.length,
+    batchesTotal: totalBatches,
+    batchesDone: 0,
+  });
 
   for (let i = 0; i < totalBatches; i++) {
     const start = i * batchSize;
-    const end = Math.min(start + batchSize, newsArticles.length);
-    const batch = newsArticles.slice(start, end);
+    const end = Math.min(start + batchSize, passages.length);
+    const batch = passages.slice(start, end);
 
-    console.log(
-      `\n📦 Processing batch ${i + 1}/${totalBatches} (${
-        batch.length
-      } articles)`
+    logger.info(
+      `📦 Processing batch ${i + 1}/${totalBatches} (${batch.length} passages)`
     );
 
     try {
-      const texts = batch.map((article) => article.fullText);
-      const embeddings = await getJinaBatchEmbeddings(texts);
-
-      const points = batch.map((article, idx) => ({
-        id: start + idx,
-        vector: embeddings[idx],
-        payload: {
-          articleId: article.id,
-          title: article.title,
-          description: article.description,
-          link: article.link,
-          pubDate: article.pubDate,
-          fullText: article.fullText,
-          source: article.source,
-        },
-      }));
+      // Later passages don't contain the headline, so prepend it for context
+      const texts = batch.map((passage) =>
+        passage.chunkIndex === 0
+          ? passage.text
+          : `${articlesById.get(passage.articleId).title}\n\n${passage.text}`
+      );
+      const embeddings = await embedTexts(texts);
+
+      const points = batch.map((passage, idx) => {
+        const article = articlesById.get(passage.articleId);
+        return {
+          id: passage.id,
+          vector: embeddings[idx],
+          payload: {
+            articleId: article.id,
+            chunkIndex: passage.chunkIndex,
+            chunkCount: passage.chunkCount,
+            passage: passage.text,
+            title: article.title,
+            description: article.description,
+            link: article.link,
+            pubDate: article.pubDate,
+            source: article.source,
+            sources: article.sources,
+            author: article.author,
+            categories: article.categories,
+            imageUrl: article.imageUrl,
+            extracted: article.extracted || false,
+            ...filterFields(article),
+          },
+        };
+      });
 
       await qdrantClient.upsert(CONFIG.QDRANT_COLLECTION, {
         wait: true,
         points: points,
       });
 
-      console.log(`  ✅ Uploaded batch ${i + 1} to Qdrant`);
+      points.forEach((point) => {
+        indexArticle(point.payload);
+        keywordIndex.add(point.id, keywordText(point.payload));
+      });
+      logger.info(`  ✅ Uploaded batch ${i + 1} to Qdrant`);
+      updateProgress({ batchesDone: i + 1 });
 
       if (i < totalBatches - 1) {
         await new Promise((resolve) => setTimeout(resolve, 500));
       }
     } catch (error) {
-      console.error(`  ❌ Error processing batch ${i + 1}:`, error.message);
+      logger.error(`  ❌ Error processing batch ${i + 1}`, {
+        error: error.message,
+      });
       throw error;
     }
   }
 
-  console.log(
-    `\n✅ Created and stored ${newsArticles.length} embeddings in Qdrant`
+  logger.info(
+    `✅ Created and stored ${passages.length} embeddings for ${articles.length} articles in Qdrant`
   );
-  return newsArticles.length;
+  if (passages.length > 0) await invalidateAnswerCache();
+  return passages.length;
 }
 
-// ============ VECTOR SEARCH WITH QDRANT ============
-export async function retrieveRelevantArticles(
-  query,
-  topK = CONFIG.TOP_K_RESULTS
-) {
-  try {
-    console.log(`🔍 Searching for: "${query.slice(0, 50)}..."`);
+// ============ HYBRID SEARCH ============
+
+/**
+ * Collapse passage hits into one entry per article, ranked by its best
+ * passage and carrying every matched passage in rank order.
+ */
+function groupPassagesByArticle(hits) {
+  const byArticle = new Map();
+
+  for (const hit of hits) {
+    const payload = hit.payload;
+    const id = payload.articleId;
+    const passage = {
+      text: payload.passage ?? payload.fullText,
+      chunkIndex: payload.chunkIndex ?? 0,
+      score: hit.score,
+    };
 
-    const queryEmbedding = await getJinaEmbedding(query);
+    const existing = byArticle.get(id);
+    if (existing) {
+      existing.passages.push(passage);
+      existing.vectorScore = Math.max(
+        existing.vectorScore ?? 0,
+        hit.vectorScore ?? 0
+      );
+      existing.keywordScore = Math.max(
+        existing.keywordScore ?? 0,
+        hit.keywordScore ?? 0
+      );
+      continue;
+    }
 
-    const searchResult = await qdrantClient.search(CONFIG.QDRANT_COLLECTION, {
-      vector: queryEmbedding,
-      limit: topK,
-      with_payload: true,
+    byArticle.set(id, {
+      id,
+      title: payload.title,
+      description: payload.description,
+      link: payload.link,
+      pubDate: payload.pubDate,
+      pubTimestamp: payload.pubTimestamp,
+      source: payload.source,
+      sources: payload.sources,
+      author: payload.author,
+      categories: payload.categories,
+      imageUrl: payload.imageUrl,
+      score: hit.score,
+      vectorScore: hit.vectorScore,
+      keywordScore: hit.keywordScore,
+      fusedScore: hit.fusedScore,
+      passages: [passage],
     });
+  }
+
+  return [...byArticle.values()];
+}
 
-    console.log(`  ✅ Found ${searchResult.length} relevant articles`);
-    console.log(
-      `  📊 Scores: ${searchResult.map((r) => r.score.toFixed(3)).join(", ")}`
+async function vectorSearch(query, limit, filters, queryEmbedding) {
+  queryEmbedding = queryEmbedding || (await embedQuery(query));
+  const results = await timeStage("vector_search", () =>
+    qdrantClient
+      .search(CONFIG.QDRANT_COLLECTION, {
+        vector: queryEmbedding,
+        limit,
+        filter: buildQdrantFilter(filters),
+        with_payload: true,
+      })
+      .catch((error) => {
+        throw new UpstreamError("The vector search failed", {
+          code: "VECTOR_SEARCH_ERROR",
+          cause: error,
+        });
+      })
+  );
+  return results.map((r) => ({ id: r.id, score: r.score, payload: r.payload }));
+}
+
+async function keywordSearch(query, limit, filters) {
+  // The BM25 index knows nothing about metadata, so over-fetch when
+  // filtering and let Qdrant drop the non-matching passages
+  const matches = keywordIndex.search(query, filters ? limit * 5 : limit);
+  if (matches.length === 0) return [];
+
+  const ids = matches.map((m) => m.id);
+  const { points } = await qdrantClient.scroll(CONFIG.QDRANT_COLLECTION, {
+    filter: buildQdrantFilter(filters, [{ has_id: ids }]),
+    limit: ids.length,
+    with_payload: true,
+    with_vector: false,
+  });
+  const payloads = new Map(points.map((p) => [p.id, p.payload]));
+
+  return matches
+    .filter((m) => payloads.has(m.id))
+    .slice(0, limit)
+    .map((m) => ({ id: m.id, score: m.score, payload: payloads.get(m.id) }));
+}
+
+/**
+ * Weight of an article's age: 1 when just published, halving every
+ * RECENCY_HALF_LIFE_HOURS. Articles without a date count as very old.
+ */
+function recencyDecay(pubTimestamp, now = Date.now()) {
+  if (!pubTimestamp) return 0;
+  const ageHours = Math.max(0, now - pubTimestamp) / 3600000;
+  return Math.pow(0.5, ageHours / CONFIG.RECENCY_HALF_LIFE_HOURS);
+}
+
+/**
+ * Blend each article's similarity score with its recency decay and re-rank.
+ * The similarity score is kept as `rawScore`.
+ */
+function applyRecencyBoost(articles) {
+  const weight = CONFIG.RECENCY_WEIGHT;
+  const now = Date.now();
+
+  return articles
+    .map((article) => ({
+      ...article,
+      rawScore: article.score,
+      score:
+        article.score *
+        (1 - weight + weight * recencyDecay(article.pubTimestamp, now)),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Retrieve the most relevant articles for a query.
+ * `mode` is "vector" (Qdrant cosine), "keyword" (BM25) or "hybrid"
+ * (reciprocal rank fusion of both). `filters` (see normalizeFilters)
+ * restrict results by source, domain, category and date range. With
+ * `recency` on, scores are boosted towards newer articles. `requestId`
+ * tags the log lines with the request being served.
+ */
+export async function retrieveRelevantArticles(
+  query,
+  {
+    topK = CONFIG.TOP_K_RESULTS,
+    mode = CONFIG.RETRIEVAL_MODE,
+    filters,
+    recency = CONFIG.RECENCY_ENABLED,
+    queryEmbedding,
+    requestId,
+  } = {}
+) {
+  const log = logger.child({ requestId });
+  try {
+    log.info(`🔍 Searching (${mode})`, { query: redact(query) });
+
+    // Several passages may belong to the same article, so over-fetch
+    const limit = topK * CONFIG.PASSAGES_PER_ARTICLE;
+    const [vectorHits, keywordHits] = await Promise.all([
+      mode === "keyword"
+        ? []
+        : vectorSearch(query, limit, filters, queryEmbedding),
+      mode === "vector" ? [] : keywordSearch(query, limit, filters),
+    ]);
+
+    const fused = reciprocalRankFusion([vectorHits, keywordHits]);
+    const hits = new Map();
+    for (const hit of [...vectorHits, ...keywordHits]) {
+      if (!hits.has(hit.id)) {
+        hits.set(hit.id, {
+          payload: hit.payload,
+          fusedScore: fused.get(hit.id),
+        });
+      }
+    }
+    vectorHits.forEach((h) => (hits.get(h.id).vectorScore = h.score));
+    keywordHits.forEach((h) => (hits.get(h.id).keywordScore = h.score));
+
+    const rankKey = { vector: "vectorScore", keyword: "keywordScore" }[mode];
+    const ranked = [...hits.values()]
+      .map((hit) => ({ ...hit, score: hit[rankKey || "fusedScore"] }))
+      .sort((a, b) => b.score - a.score);
+
+    const grouped = groupPassagesByArticle(ranked);
+    const articles = (recency ? applyRecencyBoost(grouped) : grouped).slice(
+      0,
+      topK
     );
 
-    const articles = searchResult.map((result) => ({
-      id: result.payload.articleId,
-      title: result.payload.title,
-      description: result.payload.description,
-      link: result.payload.link,
-      pubDate: result.payload.pubDate,
-      fullText: result.payload.fullText,
-      source: result.payload.source,
-      score: result.score,
-    }));
+    log.info(
+      `  ✅ Found ${hits.size} passages (vector: ${vectorHits.length}, keyword: ${keywordHits.length}) from ${articles.length} relevant articles`
+    );
+    log.debug(
+      `  📊 Scores: ${articles.map((a) => a.score.toFixed(3)).join(", ")}`
+    );
 
     return articles;
   } catch (error) {
-    console.error("❌ Error retrieving articles:", error);
+    log.error("❌ Error retrieving articles", { error });
     throw error;
   }
 }
 
 // ============ RAG SERVICE ============
-export async function generateAnswer(query, sessionId) {
-  try {
-    const relevantArticles = await retrieveRelevantArticles(query);
-
-    const context = relevantArticles
-      .map(
-        (article, i) =>
-          `[Source ${i + 1}] (${article.source} - Relevance: ${(
-            article.score * 100
-          ).toFixed(1)}%)\n` +
-          `Title: ${article.title}\n` +
-          `Content: ${article.description}\n` +
-          `URL: ${article.link}\n` +
-          `Published: ${article.pubDate}`
-      )
-      .join("\n\n");
-
-    const historyJson = await redisClient.get(`session:${sessionId}`);
-    const history = historyJson ? JSON.parse(historyJson) : [];
-
-    const conversationContext =
-      history.length > 0
-        ? "\n\nPrevious conversation:\n" +
-          history
-            .slice(-6)
-            .map(
-              (h) => `${h.role === "user" ? "User" : "Assistant"}: ${h.content}`
-            )
-            .join("\n")
-        : "";
+function formatSources(relevantArticles) {
+  return relevantArticles.map((a, i) => ({
+    index: i + 1,
+    title: a.title,
+    link: a.link,
+    pubDate: a.pubDate,
+    source: a.source,
+    relevance: formatRelevance(a),
+    keywordScore:
+      a.keywordScore !== undefined ? Number(a.keywordScore.toFixed(3)) : null,
+    fusedScore: Number(a.fusedScore.toFixed(4)),
+    rawScore: Number((a.rawScore ?? a.score).toFixed(4)),
+    adjustedScore: Number(a.score.toFixed(4)),
+  }));
+}
 
-    const prompt = `You are a knowledgeable and helpful news assistant. Your task is to answer the user's question based on the provided news articles.
+/**
+ * Validate the answer's inline citations against the retrieved sources and
+ * keep only the sources it actually cites. Sources keep their prompt
+ * numbering in `index`, which is what the answer's [n] markers refer to.
+ */
+function finalizeAnswer(rawAnswer, relevantArticles, log = logger) {
+  const { answer, citations, cited, removed } = resolveCitations(
+    rawAnswer,
+    relevantArticles.length
+  );
+  if (removed > 0) {
+    log.warn(`  ⚠️ Removed ${removed} citations to non-existent sources`);
+  }
 
-Guidelines:
-- Provide accurate, well-informed answers based on the sources
-- Use clear headings with ## for main topics  
-- Use bullet points (-) for lists
-- Write in a conversational, friendly tone
-- Cite specific sources when referencing information (e.g., "According to Source 1...")
-- Keep paragraphs short (2-3 sentences max)
-- If the articles don't contain enough information, acknowledge this
+  return {
+    answer,
+    citations,
+    sources: formatSources(relevantArticles).filter((s) =>
+      cited.includes(s.index)
+    ),
+  };
+}
 
-News Sources (with relevance scores and sources):
-${context}
-${conversationContext}
+/**
+ * Once history passes HISTORY_MAX_MESSAGES, fold everything but the newest
+ * HISTORY_KEEP_MESSAGES into the session's running summary and drop it from
+ * the stored history. On failure the history is kept as is. A short lock
+ * keeps concurrent turns from summarizing and trimming the same messages
+ * twice.
+ */
+async function compactHistory(sessionId, log = logger) {
+  if ((await countMessages(sessionId)) <= CONFIG.HISTORY_MAX_MESSAGES) return;
 
-User Question: ${query}
+  const lockKey = `session:${sessionId}:compacting`;
+  const locked = await redisClient.set(lockKey, "1", { NX: true, EX: 120 });
+  if (!locked) return;
+
+  try {
+    const history = await readMessages(sessionId);
+    if (history.length <= CONFIG.HISTORY_MAX_MESSAGES) return;
 
-Please provide a clear, well-formatted answer using markdown:`;
+    const cutoff = history.length - CONFIG.HISTORY_KEEP_MESSAGES;
+    const older = history.slice(0, cutoff);
 
-    console.log("🤖 Generating response with Gemini...");
-    const result = await geminiModel.generateContent(prompt);
-    const answer = result.response.text();
+    const previous = await getSessionSummary(sessionId);
+    const text = await summarizeConversation(previous?.text, older);
+
+    await redisClient.set(
+      `session:${sessionId}:summary`,
+      JSON.stringify({
+        text,
+        messageCount: (previous?.messageCount || 0) + older.length,
+        updatedAt: Date.now(),
+      }),
+      { EX: CONFIG.SESSION_TTL }
+    );
+    // Messages only ever go on the end, so everything before the first
+    // kept message is exactly what was summarized
+    await trimMessagesBefore(sessionId, history[cutoff].id);
+    log.info(`🧾 Summarized ${older.length} older messages`);
+  } catch (error) {
+    log.error("❌ Error summarizing history", { error: error.message });
+  } finally {
+    await redisClient.del(lockKey);
+  }
+}
 
-    history.push({
+async function saveConversationTurn(sessionId, userTurn, turn, log = logger) {
+  const { answer, ...rest } = turn;
+  await appendMessages(sessionId, [
+    {
       role: "user",
-      content: query,
+      ...userTurn,
       timestamp: Date.now(),
-    });
-
-    history.push({
+    },
+    {
       role: "assistant",
       content: answer,
       timestamp: Date.now(),
-      sources: relevantArticles.map((a) => ({
-        title: a.title,
-        link: a.link,
-        source: a.source,
-        score: a.score,
-      })),
-    });
+      ...rest,
+    },
+  ]);
+
+  // Summarizing is another model call; run it after the response instead of
+  // making the user wait for it
+  compactHistory(sessionId, log).catch((error) =>
+    log.error("❌ Background history compaction failed", {
+      error: error.message,
+    })
+  );
+  await touchSession(sessionId, {
+    message: userTurn.content,
+    messagesAdded: 2,
+  });
+}
+
+/**
+ * Look the question up in the answer cache. Only questions asked without
+ * conversation context are cacheable, since the answer to a follow-up
+ * depends on the history. Returns { hit } on a cache hit, otherwise the
+ * { embedding, scope, version } to store the new answer under (null when
+ * not cacheable). Cache errors never fail the request.
+ */
+async function checkAnswerCache(query, options, history, summary, log) {
+  if (!CONFIG.ANSWER_CACHE_ENABLED || history.length > 0 || summary) {
+    return null;
+  }
+
+  try {
+    const embedding = await embedQuery(query);
+    const scope = cacheScope(options);
+    const { hit, version } = await findCachedAnswer(embedding, scope);
+    recordCacheLookup(Boolean(hit));
+    if (hit) {
+      log.info(`⚡ Answer cache hit (${(hit.similarity * 100).toFixed(1)}%)`, {
+        cachedQuery: redact(hit.query),
+      });
+      return { hit };
+    }
+    return { embedding, scope, version };
+  } catch (error) {
+    log.error("❌ Answer cache lookup failed", { error: error.message });
+    return null;
+  }
+}
+
+async function storeCachedAnswer(query, cacheKey, turn, log) {
+  if (!cacheKey || !turn.answer) return;
+  try {
+    const { embedding, scope, version } = cacheKey;
+    await cacheAnswer(query, embedding, scope, turn, version);
+  } catch (error) {
+    log.error("❌ Error caching answer", { error: error.message });
+  }
+}
+
+/**
+ * Shared first half of generateAnswer/streamAnswer: load history and
+ * summary, check the answer cache, rewrite follow-ups into a standalone
+ * search query, retrieve and build the prompt within the token budget.
+ * On a cache hit only `cachedTurn` and `userTurn` are returned.
+ */
+async function prepareAnswer(query, sessionId, options, log) {
+  const [history, summary] = await Promise.all([
+    getChatHistory(sessionId),
+    getSessionSummary(sessionId),
+  ]);
+
+  const cache = await checkAnswerCache(query, options, history, summary, log);
+  if (cache?.hit) {
+    const { answer, citations, sources } = cache.hit;
+    return {
+      cachedTurn: { answer, citations, sources },
+      userTurn: { content: query },
+      rewrittenQuery: null,
+    };
+  }
+
+  const { query: searchQuery, rewritten } = await rewriteQuery(query, history, {
+    log,
+  });
+
+  const retrieved = await retrieveRelevantArticles(searchQuery, {
+    mode: options.retrievalMode,
+    filters: options.filters,
+    recency: options.recency,
+    queryEmbedding: rewritten ? undefined : cache?.embedding,
+    requestId: options.requestId,
+  });
+
+  // Sources that don't fit the budget are dropped from the end, so only the
+  // ones the model actually sees can be cited
+  const {
+    prompt,
+    articles: relevantArticles,
+    usage,
+  } = buildPrompt(query, retrieved, { history, summary: summary?.text });
+  if (usage.sourcesDropped > 0) {
+    log.info(
+      `  ✂️  Dropped ${usage.sourcesDropped} lowest-ranked sources to fit ${usage.budget} tokens`
+    );
+  }
+
+  return {
+    relevantArticles,
+    prompt,
+    usage,
+    cacheKey: cache,
+    userTurn: {
+      content: query,
+      ...(rewritten && { rewrittenQuery: searchQuery }),
+    },
+    rewrittenQuery: rewritten ? searchQuery : null,
+  };
+}
+
+/**
+ * Answer `query` in the context of a session and save the turn. `options`
+ * holds the retrieval and generation overrides plus `requestId`, which tags
+ * every log line written along the way.
+ */
+export async function generateAnswer(query, sessionId, options = {}) {
+  const log = logger.child({ requestId: options.requestId, sessionId });
+  try {
+    const {
+      cachedTurn,
+      relevantArticles,
+      prompt,
+      usage,
+      cacheKey,
+      userTurn,
+      rewrittenQuery,
+    } = await prepareAnswer(query, sessionId, options, log);
+
+    if (cachedTurn) {
+      await saveConversationTurn(
+        sessionId,
+        userTurn,
+        { ...cachedTurn, cached: true },
+        log
+      );
+      return { ...cachedTurn, rewrittenQuery, usage: null, cached: true };
+    }
+
+    log.info(
+      `🤖 Generating response with ${llmProvider.name} (${llmProvider.model})...`
+    );
+    const rawAnswer = await timeStage("generation", () =>
+      llmProvider.generate(prompt, {
+        generationConfig: resolveGenerationConfig(options.generation),
+      })
+    );
+    const turn = finalizeAnswer(rawAnswer, relevantArticles, log);
+
+    await saveConversationTurn(sessionId, userTurn, turn, log);
+    await storeCachedAnswer(query, cacheKey, turn, log);
+
+    log.info("✅ Response generated and cached");
+
+    return {
+      ...turn,
+      rewrittenQuery,
+      usage: { ...usage, completionTokens: estimateTokens(rawAnswer) },
+      cached: false,
+    };
+  } catch (error) {
+    log.error("❌ Error generating answer", { error });
+    throw error;
+  }
+}
+
+/**
+ * Streaming variant of generateAnswer. All retrieved sources are handed to
+ * `onSources` before generation starts, then each model text delta goes to
+ * `onToken`. The returned answer has its citations checked and its sources
+ * trimmed like generateAnswer's. Aborting `signal` (e.g. on client
+ * disconnect) stops generation; whatever was produced so far is still saved
+ * to the session, flagged `interrupted`. A cached answer is sent as a single
+ * token, after its cited sources.
+ */
+export async function streamAnswer(
+  query,
+  sessionId,
+  { onSources, onToken, signal, ...options } = {}
+) {
+  const log = logger.child({ requestId: options.requestId, sessionId });
+  try {
+    const {
+      cachedTurn,
+      relevantArticles,
+      prompt,
+      usage,
+      cacheKey,
+      userTurn,
+      rewrittenQuery,
+    } = await prepareAnswer(query, sessionId, options, log);
+
+    if (cachedTurn) {
+      onSources?.(cachedTurn.sources, { rewrittenQuery, cached: true });
+      onToken?.(cachedTurn.answer);
+      await saveConversationTurn(
+        sessionId,
+        userTurn,
+        { ...cachedTurn, cached: true },
+        log
+      );
+      return {
+        ...cachedTurn,
+        rewrittenQuery,
+        usage: null,
+        cached: true,
+        interrupted: false,
+      };
+    }
 
-    await redisClient.set(`session:${sessionId}`, JSON.stringify(history), {
-      EX: CONFIG.SESSION_TTL,
+    onSources?.(formatSources(relevantArticles), {
+      rewrittenQuery,
+      cached: false,
     });
 
-    console.log("✅ Response generated and cached");
+    log.info(
+      `🤖 Streaming response with ${llmProvider.name} (${llmProvider.model})...`
+    );
+    let rawAnswer = "";
+    let interrupted = false;
+
+    const endGeneration = startStageTimer("generation");
+    try {
+      const stream = llmProvider.stream(prompt, {
+        generationConfig: resolveGenerationConfig(options.generation),
+        signal,
+      });
+
+      for await (const text of stream) {
+        if (signal?.aborted) break;
+        rawAnswer += text;
+        onToken?.(text);
+      }
+    } catch (error) {
+      if (!signal?.aborted) throw error;
+    } finally {
+      endGeneration();
+    }
+
+    if (signal?.aborted) {
+      interrupted = true;
+      log.warn("⚠️  Client disconnected, stream interrupted");
+    }
+
+    const turn = finalizeAnswer(rawAnswer, relevantArticles, log);
+    if (rawAnswer) {
+      await saveConversationTurn(
+        sessionId,
+        userTurn,
+        { ...turn, ...(interrupted && { interrupted }) },
+        log
+      );
+    }
+    if (!interrupted) await storeCachedAnswer(query, cacheKey, turn, log);
+
+    log.info("✅ Streamed response generated and cached");
 
     return {
-      answer,
-      sources: relevantArticles.map((a) => ({
-        title: a.title,
-        link: a.link,
-        pubDate: a.pubDate,
-        source: a.source,
-        relevance: (a.score * 100).toFixed(1) + "%",
-      })),
+      ...turn,
+      rewrittenQuery,
+      usage: { ...usage, completionTokens: estimateTokens(rawAnswer) },
+      cached: false,
+      interrupted,
     };
   } catch (error) {
-    console.error("❌ Error generating answer:", error);
+    log.error("❌ Error streaming answer", { error });
     throw error;
   }
 }
@@ -432,39 +1121,325 @@ Please provide a clear, well-formatted answer using markdown:`;
 // ============ CHAT SERVICE ============
 export async function getChatHistory(sessionId) {
   try {
-    const historyJson = await redisClient.get(`session:${sessionId}`);
-    const history = historyJson ? JSON.parse(historyJson) : [];
-    return history;
+    return await readMessages(sessionId);
   } catch (error) {
-    console.error("❌ Error getting history:", error);
+    logger.error("❌ Error getting history", { error });
     return [];
   }
 }
 
+/**
+ * One page of history, oldest first, ending just before message `before`
+ * (or at the latest message)
+ */
+export async function getChatHistoryPage(sessionId, { before, limit = 50 }) {
+  return readMessagesPage(sessionId, { before, limit });
+}
+
+export async function getSessionSummary(sessionId) {
+  try {
+    const summaryJson = await redisClient.get(`session:${sessionId}:summary`);
+    return summaryJson ? JSON.parse(summaryJson) : null;
+  } catch (error) {
+    logger.error("❌ Error getting summary", { error });
+    return null;
+  }
+}
+
 export async function clearSession(sessionId) {
   try {
-    const deleted = await redisClient.del(`session:${sessionId}`);
-    return deleted > 0;
+    return await deleteSession(sessionId);
   } catch (error) {
-    console.error("❌ Error clearing session:", error);
+    logger.error("❌ Error clearing session", { error });
     throw error;
   }
 }
 
-// ============ INITIALIZATION ============
-export async function initializeServices() {
+// ============ SCHEDULED REFRESH ============
+let refreshTimer = null;
+const refreshState = {
+  running: false,
+  // While running: { scope, startedAt, phase: "fetching" | "embedding",
+  // sourcesTotal, sourcesDone, passagesTotal, batchesTotal, batchesDone }
+  progress: null,
+  intervalMinutes: 0,
+  lastRun: null,
+  nextRunAt: null,
+};
+
+function updateProgress(changes) {
+  if (refreshState.progress) Object.assign(refreshState.progress, changes);
+}
+
+/**
+ * Store fetched articles: embed the ones not yet in Qdrant and merge the
+ * sources of duplicates into the existing points. At most MAX_ARTICLES
+ * new articles are embedded per run, newest first; the rest are still new
+ * on the next run.
+ */
+async function ingestArticles(articles) {
+  let newArticles = [];
+  const updatedArticles = [];
+
+  for (const article of articles) {
+    const indexed =
+      indexedArticles.get(article.id) ||
+      findNearDuplicate(article, indexedArticles.values());
+
+    if (!indexed) {
+      newArticles.push(article);
+    } else if (mergeSources(indexed, article)) {
+      updatedArticles.push(indexed);
+    }
+  }
+
+  await updateIndexedSources(updatedArticles);
+  if (newArticles.length > CONFIG.MAX_ARTICLES) {
+    logger.info(
+      `⏳ ${newArticles.length} new articles, embedding the newest ${CONFIG.MAX_ARTICLES} this run`
+    );
+    newArticles = newArticles
+      .sort((a, b) => (b.pubDate || "").localeCompare(a.pubDate || ""))
+      .slice(0, CONFIG.MAX_ARTICLES);
+  }
+  logger.info(`🆕 ${newArticles.length} new articles to embed`);
+
+  if (newArticles.length > 0) {
+    const toEmbed = CONFIG.EXTRACT_FULL_TEXT
+      ? await extractArticleBodies(newArticles)
+      : newArticles;
+    await createArticleEmbeddings(toEmbed);
+
+    const addedBySource = new Map();
+    for (const article of newArticles) {
+      if (!article.sourceId) continue;
+      addedBySource.set(
+        article.sourceId,
+        (addedBySource.get(article.sourceId) || 0) + 1
+      );
+    }
+    await recordArticlesAdded(addedBySource);
+  }
+
+  return { added: newArticles.length, merged: updatedArticles.length };
+}
+
+/**
+ * Re-fetch all feeds and sites, embedding only articles not yet in Qdrant.
+ * Returns null without doing anything if a refresh is already running.
+ */
+export async function refreshArticles() {
+  if (refreshState.running) {
+    logger.info("⏭️  Refresh already in progress, skipping");
+    return null;
+  }
+
+  refreshState.running = true;
+  const startedAt = Date.now();
+  refreshState.progress = { scope: "all", startedAt };
+
   try {
-    await initializeQdrant();
-    await fetchNewsArticles();
-    await createArticleEmbeddings();
-    console.log("✅ All services initialized with RSS + Web Scraping + Qdrant");
+    const articles = await fetchNewsArticles();
+    const { added, merged } = await ingestArticles(articles);
+
+    refreshState.lastRun = {
+      startedAt,
+      finishedAt: Date.now(),
+      durationMs: Date.now() - startedAt,
+      status: "success",
+      fetched: articles.length,
+      added,
+      merged,
+    };
+    return refreshState.lastRun;
   } catch (error) {
-    console.error("❌ Failed to initialize services:", error);
+    refreshState.lastRun = {
+      startedAt,
+      finishedAt: Date.now(),
+      durationMs: Date.now() - startedAt,
+      status: "failed",
+      error: error.message,
+    };
     throw error;
+  } finally {
+    refreshState.running = false;
+    refreshState.progress = null;
   }
 }
 
+/**
+ * Fetch and store a single source right away, whether or not it is
+ * enabled. Returns null if a refresh is already running.
+ */
+export async function ingestSource(source) {
+  if (refreshState.running) {
+    logger.info("⏭️  Refresh already in progress, skipping");
+    return null;
+  }
+
+  refreshState.running = true;
+  const startedAt = Date.now();
+  refreshState.progress = { scope: source.id, startedAt };
+
+  try {
+    logger.info(`📰 Ingesting source ${source.id}...`);
+    const articles = await fetchFromSources([source]);
+    const { added, merged } = await ingestArticles(articles);
+
+    return {
+      sourceId: source.id,
+      startedAt,
+      durationMs: Date.now() - startedAt,
+      fetched: articles.length,
+      added,
+      merged,
+    };
+  } finally {
+    refreshState.running = false;
+    refreshState.progress = null;
+  }
+}
+
+export function startRefreshScheduler(
+  intervalMinutes = CONFIG.REFRESH_INTERVAL_MINUTES
+) {
+  stopRefreshScheduler();
+  if (!intervalMinutes || intervalMinutes <= 0) {
+    logger.info("⏸️  Scheduled refresh disabled");
+    return;
+  }
+
+  const intervalMs = intervalMinutes * 60 * 1000;
+  refreshState.intervalMinutes = intervalMinutes;
+  refreshState.nextRunAt = Date.now() + intervalMs;
+
+  refreshTimer = setInterval(async () => {
+    refreshState.nextRunAt = Date.now() + intervalMs;
+    logger.info("⏰ Running scheduled news refresh...");
+    try {
+      await refreshArticles();
+    } catch (error) {
+      logger.error("❌ Scheduled refresh failed", { error: error.message });
+    }
+  }, intervalMs);
+  // Don't keep the process alive just for the refresh timer
+  refreshTimer.unref();
+
+  logger.info(`⏰ Scheduled refresh every ${intervalMinutes} minutes`);
+}
+
+export function stopRefreshScheduler() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+  refreshState.nextRunAt = null;
+}
+
+export function getRefreshStatus() {
+  return {
+    ...refreshState,
+    progress: refreshState.progress && { ...refreshState.progress },
+  };
+}
+
+// ============ INITIALIZATION ============
+const startupState = {
+  phase: "starting", // "starting" | "initializing" | "ready" | "failed"
+  attempts: 0,
+  readyAt: null,
+  lastError: null,
+};
+
+/**
+ * Get everything needed to answer from the existing Qdrant index (Redis,
+ * sources, collection checks, keyword index), retrying every
+ * INIT_RETRY_SECONDS until it works. Ingestion then runs in the background;
+ * a failed ingestion is logged and retried on the next scheduled refresh.
+ * Only configuration errors (`error.fatal`) give up.
+ */
+export async function initializeServices() {
+  startupState.phase = "initializing";
+
+  for (;;) {
+    startupState.attempts++;
+    try {
+      if (!redisClient.isOpen) await connectRedis();
+      await initializeSources();
+      await migrateLegacyHistory();
+      await initializeQdrant();
+      await loadIndexedArticles();
+      break;
+    } catch (error) {
+      startupState.lastError = error.message;
+      if (error.fatal) {
+        startupState.phase = "failed";
+        logger.error("❌ Failed to initialize services", { error });
+        throw error;
+      }
+      logger.error(
+        `❌ Initialization attempt ${startupState.attempts} failed: ${error.message}. Retrying in ${CONFIG.INIT_RETRY_SECONDS}s`
+      );
+      await new Promise((resolve) =>
+        setTimeout(resolve, CONFIG.INIT_RETRY_SECONDS * 1000)
+      );
+    }
+  }
+
+  startupState.phase = "ready";
+  startupState.readyAt = Date.now();
+  startupState.lastError = null;
+  logger.info(
+    `✅ Services ready, serving ${indexedArticles.size} indexed articles`
+  );
+
+  startRefreshScheduler();
+  logger.info("📰 Starting background ingestion...");
+  refreshArticles().catch((error) =>
+    logger.error("❌ Background ingestion failed", { error: error.message })
+  );
+}
+
+// ============ ARTICLE LISTING ============
+
+/**
+ * List stored articles matching `filters`, newest first (undated articles
+ * by when they were fetched). Reads one point per article (its first
+ * passage) straight from Qdrant.
+ */
+export async function listArticles({ filters, limit = 50 } = {}) {
+  const filter = buildQdrantFilter(filters, [
+    {
+      should: [
+        { key: "chunkIndex", match: { value: 0 } },
+        { is_empty: { key: "chunkIndex" } },
+      ],
+    },
+  ]);
+
+  const [{ points }, { count }] = await Promise.all([
+    qdrantClient.scroll(CONFIG.QDRANT_COLLECTION, {
+      filter,
+      limit,
+      order_by: { key: "sortTimestamp", direction: "desc" },
+      with_payload: true,
+      with_vector: false,
+    }),
+    qdrantClient.count(CONFIG.QDRANT_COLLECTION, { filter, exact: true }),
+  ]);
+
+  return { articles: points.map((p) => p.payload), total: count };
+}
+
 // ============ GETTERS ============
+export function isInitialized() {
+  return startupState.phase === "ready";
+}
+
+export function getStartupStatus() {
+  return { ...startupState };
+}
+
 export function getArticles() {
   return newsArticles;
 }
@@ -0,0 +1,206 @@
+import { v4 as uuidv4 } from "uuid";
+import { redisClient, CONFIG } from "./config.js";
+import { logger } from "./logger.js";
+import { messagesKey, readMessages } from "./history.js";
+
+// Session metadata lives next to the conversation keys:
+//   session:<id>:meta      JSON { sessionId, title, ownerId, apiKeyId,
+//                                 createdAt, lastActiveAt, messageCount }
+//   sessions:all           sorted set of ids scored by lastActiveAt
+//   sessions:owner:<owner> same, per owner
+//   sessions:key:<keyId>   same, per creating API key
+//   sessions:key:<keyId>:owner:<owner>
+// Every key of a session shares one TTL that slides on chat activity.
+// `apiKeyId` is the id of the API key that created the session (null when
+// auth is off); a non-admin key only ever sees its own sessions.
+
+const TITLE_MAX_CHARS = 60;
+const LIST_KEY = "sessions:all";
+
+const metaKey = (sessionId) => `session:${sessionId}:meta`;
+
+/**
+ * Index holding the sessions of one API key and/or owner; both unset for
+ * every session
+ */
+function indexKey({ apiKeyId, ownerId } = {}) {
+  const scope = apiKeyId ? `sessions:key:${apiKeyId}` : null;
+  if (ownerId) return `${scope || "sessions"}:owner:${ownerId}`;
+  return scope || LIST_KEY;
+}
+
+/** Every index a session is listed in */
+function indexKeys({ apiKeyId, ownerId }) {
+  const keys = [LIST_KEY];
+  if (ownerId) keys.push(indexKey({ ownerId }));
+  if (apiKeyId) keys.push(indexKey({ apiKeyId }));
+  if (apiKeyId && ownerId) keys.push(indexKey({ apiKeyId, ownerId }));
+  return keys;
+}
+
+/** All Redis keys that belong to a session */
+export function sessionKeys(sessionId) {
+  return [
+    messagesKey(sessionId),
+    `session:${sessionId}:summary`,
+    metaKey(sessionId),
+  ];
+}
+
+/**
+ * Title from the first user message: whitespace collapsed, cut at a word
+ * boundary to TITLE_MAX_CHARS.
+ */
+export function titleFromMessage(message) {
+  const text = message.replace(/\s+/g, " ").trim();
+  if (text.length <= TITLE_MAX_CHARS) return text;
+
+  const cut = text.slice(0, TITLE_MAX_CHARS);
+  const lastSpace = cut.lastIndexOf(" ");
+  return (lastSpace > 20 ? cut.slice(0, lastSpace) : cut) + "…";
+}
+
+async function saveSession(session) {
+  const multi = redisClient
+    .multi()
+    .set(metaKey(session.sessionId), JSON.stringify(session), {
+      EX: CONFIG.SESSION_TTL,
+    });
+  for (const key of indexKeys(session)) {
+    multi.zAdd(key, { score: session.lastActiveAt, value: session.sessionId });
+  }
+  await multi.exec();
+}
+
+export async function createSession({
+  ownerId = null,
+  apiKeyId = null,
+  title = null,
+} = {}) {
+  const now = Date.now();
+  const session = {
+    sessionId: uuidv4(),
+    title,
+    ownerId,
+    apiKeyId,
+    createdAt: now,
+    lastActiveAt: now,
+    messageCount: 0,
+  };
+  await saveSession(session);
+  return session;
+}
+
+/**
+ * Look up a session, or null if it doesn't exist or has expired. Sessions
+ * created before metadata was stored (history only) are adopted on first
+ * lookup.
+ */
+export async function getSession(sessionId) {
+  const metaJson = await redisClient.get(metaKey(sessionId));
+  if (metaJson) return JSON.parse(metaJson);
+
+  const history = await readMessages(sessionId);
+  if (history.length === 0) return null;
+
+  const firstUser = history.find((h) => h.role === "user");
+  const session = {
+    sessionId,
+    title: firstUser ? titleFromMessage(firstUser.content) : null,
+    ownerId: null,
+    apiKeyId: null,
+    createdAt: history[0]?.timestamp || Date.now(),
+    lastActiveAt: history[history.length - 1]?.timestamp || Date.now(),
+    messageCount: history.length,
+  };
+  await saveSession(session);
+  logger.info(`📝 Adopted legacy session: ${sessionId}`);
+  return session;
+}
+
+/**
+ * Record chat activity: bump lastActiveAt and messageCount, set the title
+ * from the first message if there is none, and slide the TTL of every key
+ * of the session.
+ */
+export async function touchSession(
+  sessionId,
+  { message, messagesAdded = 0 } = {}
+) {
+  const session = await getSession(sessionId);
+  if (!session) return null;
+
+  session.lastActiveAt = Date.now();
+  session.messageCount += messagesAdded;
+  if (!session.title && message) session.title = titleFromMessage(message);
+
+  await saveSession(session);
+  await Promise.all(
+    sessionKeys(sessionId).map((key) =>
+      redisClient.expire(key, CONFIG.SESSION_TTL)
+    )
+  );
+  return session;
+}
+
+export async function renameSession(sessionId, title) {
+  const session = await getSession(sessionId);
+  if (!session) return null;
+
+  session.title = title;
+  await redisClient.set(metaKey(sessionId), JSON.stringify(session), {
+    KEEPTTL: true,
+  });
+  return session;
+}
+
+/**
+ * Sessions ordered by most recent activity, optionally only those created
+ * with one API key and/or for one owner. Index entries whose session has
+ * expired are pruned first.
+ */
+export async function listSessions({
+  apiKeyId,
+  ownerId,
+  limit = 20,
+  offset = 0,
+} = {}) {
+  const key = indexKey({ apiKeyId, ownerId });
+  const expiredBefore = Date.now() - CONFIG.SESSION_TTL * 1000;
+  await redisClient.zRemRangeByScore(key, "-inf", expiredBefore);
+
+  const [total, ids] = await Promise.all([
+    redisClient.zCard(key),
+    redisClient.zRange(key, offset, offset + limit - 1, { REV: true }),
+  ]);
+  const metas = ids.length > 0 ? await redisClient.mGet(ids.map(metaKey)) : [];
+
+  const sessions = [];
+  const missing = [];
+  ids.forEach((id, i) => {
+    if (metas[i]) sessions.push(JSON.parse(metas[i]));
+    else missing.push(id);
+  });
+  if (missing.length > 0) await redisClient.zRem(key, missing);
+
+  return { sessions, total: total - missing.length };
+}
+
+/** Number of sessions with activity within the session TTL */
+export async function countActiveSessions() {
+  const activeSince = Date.now() - CONFIG.SESSION_TTL * 1000;
+  return redisClient.zCount(LIST_KEY, activeSince, "+inf");
+}
+
+/**
+ * Remove a session and all its data. Returns true if anything was deleted.
+ */
+export async function deleteSession(sessionId) {
+  const metaJson = await redisClient.get(metaKey(sessionId));
+  const session = metaJson ? JSON.parse(metaJson) : {};
+
+  const multi = redisClient.multi().del(sessionKeys(sessionId));
+  for (const key of indexKeys(session)) multi.zRem(key, sessionId);
+  const [deleted] = await multi.exec();
+  return deleted > 0;
+}
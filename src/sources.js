@@ -0,0 +1,356 @@
+import fs from "fs/promises";
+import * as cheerio from "cheerio";
+import { redisClient, CONFIG } from "./config.js";
+import { logger } from "./logger.js";
+
+// News source definitions look like
+//   { id, type: "rss" | "scrape", url, name?, enabled?, limit?, selector? }
+// Scrape sources need a `name` and a `selector` with CSS selectors for
+// `article`, `title` and `link` (and optionally `description`), the last
+// three relative to each article element.
+//
+// They are stored in Redis so they can be managed at runtime:
+//   sources              hash of source id -> definition JSON
+//   source:<id>:stats    hash of per-source fetch stats
+// CONFIG.SOURCES_FILE (sources.json, { "sources": [...] }) seeds an empty
+// store and can be re-imported at any time.
+
+export const SOURCE_TYPES = ["rss", "scrape"];
+
+const DEFAULT_LIMITS = { rss: 20, scrape: 15 };
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const SOURCE_FIELDS = [
+  "id",
+  "type",
+  "url",
+  "name",
+  "enabled",
+  "limit",
+  "selector",
+];
+const SELECTOR_FIELDS = ["article", "title", "description", "link"];
+
+const SOURCES_KEY = "sources";
+const statsKey = (id) => `source:${id}:stats`;
+
+// ============ SCHEMA ============
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function isValidSelector(selector) {
+  try {
+    cheerio.load("")(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Problems with one source definition, as "<path> <problem>" strings
+ */
+export function sourceErrors(source, path = "source") {
+  if (!source || typeof source !== "object" || Array.isArray(source)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(source)) {
+    if (!SOURCE_FIELDS.includes(key)) {
+      errors.push(`${path}.${key} is not a known field`);
+    }
+  }
+
+  if (typeof source.id !== "string" || !ID_PATTERN.test(source.id)) {
+    errors.push(
+      `${path}.id must be lowercase letters, digits and dashes (e.g. "bbc-world")`
+    );
+  }
+  if (!SOURCE_TYPES.includes(source.type)) {
+    errors.push(`${path}.type must be one of: ${SOURCE_TYPES.join(", ")}`);
+  }
+  if (!isHttpUrl(source.url)) {
+    errors.push(`${path}.url must be an http(s) URL`);
+  }
+  if (
+    source.name !== undefined &&
+    (typeof source.name !== "string" || !source.name.trim())
+  ) {
+    errors.push(`${path}.name must be a non-empty string`);
+  }
+  if (source.enabled !== undefined && typeof source.enabled !== "boolean") {
+    errors.push(`${path}.enabled must be a boolean`);
+  }
+  if (
+    source.limit !== undefined &&
+    (!Number.isInteger(source.limit) || source.limit < 1 || source.limit > 100)
+  ) {
+    errors.push(`${path}.limit must be an integer between 1 and 100`);
+  }
+
+  if (source.type === "scrape") {
+    if (source.name === undefined) {
+      errors.push(`${path}.name is required for scrape sources`);
+    }
+
+    const selector = source.selector;
+    if (!selector || typeof selector !== "object" || Array.isArray(selector)) {
+      errors.push(`${path}.selector is required for scrape sources`);
+    } else {
+      for (const key of Object.keys(selector)) {
+        if (!SELECTOR_FIELDS.includes(key)) {
+          errors.push(`${path}.selector.${key} is not a known field`);
+        }
+      }
+      for (const key of SELECTOR_FIELDS) {
+        const value = selector[key];
+        if (value === undefined) {
+          if (key !== "description") {
+            errors.push(`${path}.selector.${key} is required`);
+          }
+        } else if (typeof value !== "string" || !isValidSelector(value)) {
+          errors.push(`${path}.selector.${key} must be a valid CSS selector`);
+        }
+      }
+    }
+  } else if (source.selector !== undefined) {
+    errors.push(`${path}.selector is only allowed for scrape sources`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed sources file. Returns the sources with defaults
+ * applied, or throws an error listing every problem found.
+ */
+export function validateSources(data) {
+  if (!data || !Array.isArray(data.sources)) {
+    throw new Error('Sources file must be an object with a "sources" array');
+  }
+
+  const errors = [];
+  const seen = new Set();
+  data.sources.forEach((source, i) => {
+    errors.push(...sourceErrors(source, `sources[${i}]`));
+    if (source?.id && seen.has(source.id)) {
+      errors.push(`sources[${i}].id "${source.id}" is used more than once`);
+    }
+    seen.add(source?.id);
+  });
+
+  if (errors.length > 0) {
+    const error = new Error(
+      `Invalid sources file:\n  - ${errors.join("\n  - ")}`
+    );
+    error.details = errors;
+    throw error;
+  }
+
+  return data.sources.map(withDefaults);
+}
+
+export function withDefaults(source) {
+  return {
+    ...source,
+    enabled: source.enabled ?? true,
+    limit: source.limit ?? DEFAULT_LIMITS[source.type],
+  };
+}
+
+// ============ STORE ============
+
+export async function getSources() {
+  const stored = await redisClient.hGetAll(SOURCES_KEY);
+  return Object.values(stored)
+    .map((json) => JSON.parse(json))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+export async function getSource(id) {
+  const json = await redisClient.hGet(SOURCES_KEY, id);
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Store a new source. Returns null if the id is already taken.
+ * The definition must already be valid.
+ */
+export async function addSource(definition) {
+  const source = withDefaults(definition);
+  const added = await redisClient.hSetNX(
+    SOURCES_KEY,
+    source.id,
+    JSON.stringify(source)
+  );
+  return added ? source : null;
+}
+
+/**
+ * Apply `changes` to a source. Returns { source }, { errors } if the result
+ * would be invalid, or null if the source doesn't exist.
+ */
+export async function updateSource(id, changes) {
+  const current = await getSource(id);
+  if (!current) return null;
+
+  const updated = { ...current, ...changes, id };
+  const errors = sourceErrors(updated);
+  if (errors.length > 0) return { errors };
+
+  await redisClient.hSet(SOURCES_KEY, id, JSON.stringify(updated));
+  return { source: updated };
+}
+
+export async function deleteSource(id) {
+  const [deleted] = await redisClient
+    .multi()
+    .hDel(SOURCES_KEY, id)
+    .del(statsKey(id))
+    .exec();
+  return deleted > 0;
+}
+
+/**
+ * Read and validate the sources file and store the sources in it whose id
+ * isn't stored yet, so sources edited or disabled through the API keep
+ * their changes. With `overwrite`, every file source replaces the stored
+ * one. Returns the ids that were { added, overwritten, kept }.
+ *
+ * Nothing is stored if the file is invalid; such errors are marked
+ * `fatal`, since retrying won't fix them.
+ */
+export async function importSourcesFile({
+  file = CONFIG.SOURCES_FILE,
+  overwrite = false,
+} = {}) {
+  let sources;
+  try {
+    sources = validateSources(JSON.parse(await fs.readFile(file, "utf8")));
+  } catch (error) {
+    if (!error.details) {
+      error.message = `Could not read sources file ${file}: ${error.message}`;
+    }
+    error.fatal = true;
+    throw error;
+  }
+
+  const result = { added: [], overwritten: [], kept: [] };
+  if (sources.length > 0) {
+    const multi = redisClient.multi();
+    for (const source of sources) {
+      const json = JSON.stringify(source);
+      if (overwrite) {
+        multi
+          .hExists(SOURCES_KEY, source.id)
+          .hSet(SOURCES_KEY, source.id, json);
+      } else {
+        multi.hSetNX(SOURCES_KEY, source.id, json);
+      }
+    }
+    const replies = await multi.exec();
+
+    sources.forEach((source, i) => {
+      if (overwrite) {
+        const existed = replies[i * 2];
+        result[existed ? "overwritten" : "added"].push(source.id);
+      } else {
+        result[replies[i] ? "added" : "kept"].push(source.id);
+      }
+    });
+  }
+
+  logger.info(`🗂️  Imported sources from ${file}`, {
+    added: result.added.length,
+    overwritten: result.overwritten.length,
+    kept: result.kept.length,
+  });
+  return result;
+}
+
+/**
+ * Seed the store from the sources file on first start
+ */
+export async function initializeSources() {
+  const count = await redisClient.hLen(SOURCES_KEY);
+  if (count === 0) {
+    await importSourcesFile();
+  } else {
+    logger.info(`🗂️  Using ${count} sources stored in Redis`);
+  }
+  return getSources();
+}
+
+// ============ STATS ============
+
+const NUMERIC_STATS = [
+  "lastFetchAt",
+  "lastArticleCount",
+  "articlesAdded",
+  "errorCount",
+  "lastErrorAt",
+  "consecutiveEmpty",
+];
+
+export async function getSourceStats(id) {
+  const raw = await redisClient.hGetAll(statsKey(id));
+  if (Object.keys(raw).length === 0) return null;
+
+  const stats = { ...raw, healthy: raw.healthy !== "false" };
+  for (const key of NUMERIC_STATS) {
+    if (raw[key] !== undefined) stats[key] = Number(raw[key]);
+  }
+  return stats;
+}
+
+/**
+ * Record the outcome of fetching one source. A source that yields no
+ * articles (or fails) SOURCE_UNHEALTHY_AFTER runs in a row is flagged
+ * unhealthy until it yields articles again.
+ */
+export async function recordSourceRun(id, { count = 0, error = null }) {
+  const key = statsKey(id);
+  const wasHealthy = (await redisClient.hGet(key, "healthy")) !== "false";
+
+  const multi = redisClient
+    .multi()
+    .hSet(key, { lastFetchAt: Date.now(), lastArticleCount: count });
+  if (count > 0) multi.hSet(key, "consecutiveEmpty", 0);
+  else multi.hIncrBy(key, "consecutiveEmpty", 1);
+  if (error) {
+    multi
+      .hIncrBy(key, "errorCount", 1)
+      .hSet(key, { lastError: error, lastErrorAt: Date.now() });
+  }
+  const replies = await multi.exec();
+
+  const consecutiveEmpty = count > 0 ? 0 : replies[1];
+  const healthy = consecutiveEmpty < CONFIG.SOURCE_UNHEALTHY_AFTER;
+  await redisClient.hSet(key, "healthy", String(healthy));
+
+  if (!healthy && wasHealthy) {
+    logger.warn(
+      `🚩 Source ${id} flagged unhealthy: no articles in ${consecutiveEmpty} runs`
+    );
+  } else if (healthy && !wasHealthy) {
+    logger.info(`✅ Source ${id} is healthy again`);
+  }
+}
+
+/**
+ * Add to each source's count of articles stored, from a map of
+ * source id -> newly stored articles
+ */
+export async function recordArticlesAdded(counts) {
+  const multi = redisClient.multi();
+  for (const [id, count] of counts) {
+    multi.hIncrBy(statsKey(id), "articlesAdded", count);
+  }
+  await multi.exec();
+}
@@ -0,0 +1,46 @@
+import { CONFIG } from "./config.js";
+import { llmProvider } from "./llm.js";
+
+function buildSummaryPrompt(previousSummary, messages) {
+  const conversation = messages
+    .map(
+      (m) =>
+        `${m.role === "user" ? "User" : "Assistant"}: ${m.content.slice(
+          0,
+          1500
+        )}`
+    )
+    .join("\n");
+
+  return `Update the running summary of a conversation between a user and a news assistant.
+
+Rules:
+- Keep the topics, people, places and events the user asked about
+- Keep the key facts the assistant gave, without source numbers
+- At most ${CONFIG.SUMMARY_MAX_WORDS} words, plain text
+
+Current summary:
+${previousSummary || "(none)"}
+
+New messages:
+${conversation}
+
+Updated summary:`;
+}
+
+/**
+ * Fold `messages` into the running conversation summary
+ */
+export async function summarizeConversation(previousSummary, messages) {
+  const text = await llmProvider.generate(
+    buildSummaryPrompt(previousSummary, messages),
+    {
+      generationConfig: {
+        ...CONFIG.GENERATION_CONFIG,
+        temperature: 0.2,
+        maxOutputTokens: 512,
+      },
+    }
+  );
+  return text.trim();
+}
@@ -0,0 +1,84 @@
+import { CONFIG } from "./config.js";
+import { ValidationError } from "./errors.js";
+
+// Route schemas (see schemas.js) look like
+//   { params?, query?, body?, response?: { <status>: schema } }
+// with zod schemas for each part. `validate(schema)` parses the request
+// parts, replacing them with the parsed values (defaults applied, query
+// numbers coerced), and rejects the request with a ValidationError listing
+// every problem as { field, message }, e.g.
+//   { field: "body.message", message: "Message cannot be empty" }
+// With VALIDATE_RESPONSES on, JSON responses are checked against the
+// schema for their status and mismatches are logged; the response is sent
+// either way.
+
+function issueDetails(issues, location) {
+  return issues.map((issue) => ({
+    field: [location, ...issue.path].join("."),
+    message: issue.message,
+  }));
+}
+
+/**
+ * Details for "<path> <problem>" messages such as those from sourceErrors.
+ * With a `location`, `path` is rebased onto it (its first segment is
+ * dropped); otherwise it is kept as is.
+ */
+export function detailsFromMessages(messages, location) {
+  return messages.map((text) => {
+    const [path, ...rest] = text.split(" ");
+    const field = location
+      ? [location, ...path.split(".").slice(1)].join(".")
+      : path;
+    return { field, message: rest.join(" ") };
+  });
+}
+
+function checkResponses(req, res, responses) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const schema = responses[res.statusCode];
+    const result = schema?.safeParse(body);
+    if (result && !result.success) {
+      req.log.warn("⚠️  Response doesn't match its schema", {
+        route: req.baseUrl + req.route.path,
+        status: res.statusCode,
+        details: issueDetails(result.error.issues, "response"),
+      });
+    }
+    return json(body);
+  };
+}
+
+/**
+ * Middleware validating a request against a route schema
+ */
+export function validate(schema) {
+  return (req, res, next) => {
+    const details = [];
+    for (const location of ["params", "query", "body"]) {
+      if (!schema[location]) continue;
+
+      const result = schema[location].safeParse(req[location] ?? {});
+      if (result.success) req[location] = result.data;
+      else details.push(...issueDetails(result.error.issues, location));
+    }
+
+    if (details.length > 0) {
+      return next(new ValidationError("Invalid request", details));
+    }
+
+    if (schema.response && CONFIG.VALIDATE_RESPONSES) {
+      checkResponses(req, res, schema.response);
+    }
+    next();
+  };
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error handler
+ */
+export function asyncHandler(handler) {
+  return (req, res, next) =>
+    Promise.resolve(handler(req, res, next)).catch(next);
+}
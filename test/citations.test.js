@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveCitations } from "../src/citations.js";
+
+const sentences = (answer, sourceCount = 3) =>
+  resolveCitations(answer, sourceCount).citations.map(
+    ({ paragraph, sentence, text, sources }) => ({
+      paragraph,
+      sentence,
+      text,
+      sources,
+    })
+  );
+
+test("one citation entry per cited sentence", () => {
+  assert.deepEqual(
+    sentences("Inflation slowed in May [1][3]. Markets rose! Bonds fell [2]."),
+    [
+      {
+        paragraph: 0,
+        sentence: 0,
+        text: "Inflation slowed in May.",
+        sources: [1, 3],
+      },
+      { paragraph: 0, sentence: 2, text: "Bonds fell.", sources: [2] },
+    ]
+  );
+});
+
+test("periods inside numbers and abbreviations don't split sentences", () => {
+  assert.deepEqual(
+    sentences(
+      "Version 2.0 is out [1]. Prices rose e.g. in the U.S. market [2]. " +
+        "Mr. Smith said J. Doe agreed [3]."
+    ),
+    [
+      { paragraph: 0, sentence: 0, text: "Version 2.0 is out.", sources: [1] },
+      {
+        paragraph: 0,
+        sentence: 1,
+        text: "Prices rose e.g. in the U.S. market.",
+        sources: [2],
+      },
+      {
+        paragraph: 0,
+        sentence: 2,
+        text: "Mr. Smith said J. Doe agreed.",
+        sources: [3],
+      },
+    ]
+  );
+});
+
+test("a period before a lowercase word doesn't end the sentence", () => {
+  assert.deepEqual(sentences("See example.com or the app. it works [1]."), [
+    {
+      paragraph: 0,
+      sentence: 0,
+      text: "See example.com or the app. it works.",
+      sources: [1],
+    },
+  ]);
+});
+
+test("list items and paragraphs are counted separately", () => {
+  assert.deepEqual(
+    sentences("## Markets\n- Stocks rose [1].\n- Bonds fell [2].\n\nDone [3]."),
+    [
+      { paragraph: 0, sentence: 1, text: "- Stocks rose.", sources: [1] },
+      { paragraph: 0, sentence: 2, text: "- Bonds fell.", sources: [2] },
+      { paragraph: 1, sentence: 0, text: "Done.", sources: [3] },
+    ]
+  );
+});
+
+test("markers outside the source range are removed", () => {
+  const result = resolveCitations("Stocks rose [1, 7]. Bonds fell [9].", 2);
+  assert.equal(result.answer, "Stocks rose [1]. Bonds fell.");
+  assert.deepEqual(result.cited, [1]);
+  assert.equal(result.removed, 2);
+});
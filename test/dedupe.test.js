@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "warn";
+
+const { dedupeArticles, findNearDuplicate } = await import("../src/dedupe.js");
+
+const article = (title, pubDate, link = `https://example.com/${title}`) => ({
+  id: link,
+  title,
+  pubDate,
+  link,
+  source: "Example",
+  feed: "https://example.com/rss",
+});
+
+test("same story from two feeds is merged", () => {
+  const merged = dedupeArticles([
+    article(
+      "Apple unveils new iPhone with satellite messaging",
+      "2024-12-10T09:00:00Z",
+      "https://a.example/iphone"
+    ),
+    article(
+      "Apple unveils new iPhone with satellite messaging!",
+      "2024-12-10T11:00:00Z",
+      "https://b.example/iphone"
+    ),
+  ]);
+
+  assert.equal(merged.length, 1);
+  assert.deepEqual(
+    merged[0].sources.map((s) => s.link),
+    ["https://a.example/iphone", "https://b.example/iphone"]
+  );
+});
+
+test("recurring headlines with different dates stay apart", () => {
+  const candidates = [
+    article("Corrections: October 18, 2026", "2026-10-18T06:00:00Z"),
+    article("Quotation of the Day: Oct 12", "2026-10-12T06:00:00Z"),
+  ];
+
+  assert.equal(
+    findNearDuplicate(
+      article("Corrections: October 19, 2026", "2026-10-19T06:00:00Z"),
+      candidates
+    ),
+    null
+  );
+  assert.equal(
+    findNearDuplicate(
+      article("Quotation of the Day: Oct 19", "2026-10-19T06:00:00Z"),
+      candidates
+    ),
+    null
+  );
+});
+
+test("identical titles outside the time window stay apart", () => {
+  const old = article(
+    "Markets rally as inflation cools",
+    "2024-12-01T09:00:00Z"
+  );
+
+  assert.equal(
+    findNearDuplicate(
+      article("Markets rally as inflation cools", "2024-12-10T09:00:00Z"),
+      [old]
+    ),
+    null
+  );
+  assert.equal(
+    findNearDuplicate(
+      article("Markets rally as inflation cools", "2024-12-02T09:00:00Z"),
+      [old]
+    ),
+    old
+  );
+});
+
+test("articles without a date are never matched by title", () => {
+  const dated = article("Markets rally as inflation cools", "2024-12-01");
+
+  assert.equal(
+    findNearDuplicate(article("Markets rally as inflation cools", ""), [dated]),
+    null
+  );
+});
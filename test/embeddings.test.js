@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+process.env.EMBEDDING_PROVIDER = "local";
+process.env.LOG_LEVEL = "warn";
+
+const { CONFIG } = await import("../src/config.js");
+const { createEmbeddingProvider } = await import("../src/embeddings.js");
+const { UpstreamTimeoutError } = await import("../src/errors.js");
+
+test("local embeddings are normalized and deterministic", async () => {
+  const local = createEmbeddingProvider("local");
+  const [a, b] = await local.embed(["Markets rally", "Markets rally"]);
+  assert.equal(a.length, local.dimensions);
+  assert.deepEqual(a, b);
+  const norm = Math.sqrt(a.reduce((sum, v) => sum + v * v, 0));
+  assert.ok(Math.abs(norm - 1) < 1e-9);
+});
+
+test("a hung embedding request fails with EMBEDDING_TIMEOUT", async () => {
+  // Accepts the request and never answers
+  const server = http.createServer(() => {});
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const saved = {
+    url: CONFIG.JINA_API_URL,
+    timeout: CONFIG.EMBEDDING_TIMEOUT_MS,
+    key: process.env.JINA_API_KEY,
+  };
+  CONFIG.JINA_API_URL = `http://127.0.0.1:${
+    server.address().port
+  }/v1/embeddings`;
+  CONFIG.EMBEDDING_TIMEOUT_MS = 50;
+  process.env.JINA_API_KEY = "test";
+
+  try {
+    const jina = createEmbeddingProvider("jina");
+    await assert.rejects(jina.embed(["ping"]), (error) => {
+      assert.ok(error instanceof UpstreamTimeoutError);
+      assert.equal(error.code, "EMBEDDING_TIMEOUT");
+      assert.equal(error.status, 504);
+      return true;
+    });
+  } finally {
+    CONFIG.JINA_API_URL = saved.url;
+    CONFIG.EMBEDDING_TIMEOUT_MS = saved.timeout;
+    if (saved.key === undefined) delete process.env.JINA_API_KEY;
+    else process.env.JINA_API_KEY = saved.key;
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,166 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { parseFeed } from "../src/feedParser.js";
+
+const fixture = (name) =>
+  readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+test("RSS 2.0", async (t) => {
+  const feed = parseFeed(fixture("rss2.xml"), {
+    feedUrl: "https://news.example.com/rss",
+  });
+  const [rally, phone, podcast] = feed.items;
+
+  assert.equal(feed.format, "rss");
+  assert.equal(feed.title, "Example News & Views");
+
+  await t.test("multi-line CDATA title", () => {
+    assert.equal(rally.title, "Markets rally as inflation cools");
+  });
+
+  await t.test("HTML-escaped description becomes plain text", () => {
+    assert.equal(
+      rally.description,
+      "Stocks rose sharply on Tuesday & bonds held steady."
+    );
+  });
+
+  await t.test("content:encoded keeps paragraph breaks", () => {
+    assert.equal(
+      rally.content,
+      "Stocks rose sharply on Tuesday. Analysts expect rate cuts."
+    );
+  });
+
+  await t.test("dc:creator, then author", () => {
+    assert.equal(rally.author, "Jane Doe");
+    assert.equal(phone.author, "tech@example.com (Tech Desk)");
+  });
+
+  await t.test("categories are deduplicated", () => {
+    assert.deepEqual(rally.categories, ["Business", "Markets"]);
+    assert.deepEqual(phone.categories, []);
+  });
+
+  await t.test("pubDate is normalized to ISO, or empty when invalid", () => {
+    assert.equal(rally.pubDate, "2024-12-10T13:30:00.000Z");
+    assert.equal(phone.pubDate, "2024-12-09T08:00:00.000Z");
+    assert.equal(podcast.pubDate, "");
+  });
+
+  await t.test("permalink guid is used when there is no link", () => {
+    assert.equal(rally.link, "https://news.example.com/markets/rally");
+    assert.equal(phone.link, "https://news.example.com/tech/phone");
+  });
+
+  await t.test("images from media:content, enclosures and HTML", () => {
+    assert.equal(rally.imageUrl, "https://cdn.example.com/rally.jpg");
+    assert.equal(phone.imageUrl, "https://news.example.com/images/phone.png");
+    // The audio enclosure is skipped for the image in the description
+    assert.equal(podcast.imageUrl, "https://cdn.example.com/cover.jpg");
+  });
+
+  await t.test("items without a link are dropped", () => {
+    assert.equal(feed.items.length, 3);
+  });
+
+  await t.test("limit", () => {
+    const limited = parseFeed(fixture("rss2.xml"), { limit: 1 });
+    assert.deepEqual(
+      limited.items.map((item) => item.title),
+      ["Markets rally as inflation cools"]
+    );
+  });
+});
+
+test("Atom", async (t) => {
+  const feed = parseFeed(fixture("atom.xml"), {
+    feedUrl: "https://blog.example.org/feed",
+  });
+  const [post, updatedOnly] = feed.items;
+
+  assert.equal(feed.format, "atom");
+  assert.equal(feed.title, "Example Atom Feed");
+  assert.equal(feed.items.length, 2);
+
+  await t.test("double-escaped HTML title", () => {
+    assert.equal(post.title, "Rust & WebAssembly in 2025");
+  });
+
+  await t.test('link rel="alternate" wins over rel="self"', () => {
+    assert.equal(post.link, "https://blog.example.org/posts/rust-wasm");
+  });
+
+  await t.test("link href without rel", () => {
+    assert.equal(updatedOnly.link, "https://blog.example.org/posts/updated");
+  });
+
+  await t.test("summary is the description, content the body", () => {
+    assert.equal(post.description, "What’s next for wasm.");
+    assert.equal(post.content, "The full post.");
+    assert.equal(updatedOnly.description, "Body with a picture");
+  });
+
+  await t.test("published, falling back to updated", () => {
+    assert.equal(post.pubDate, "2024-12-10T07:15:00.000Z");
+    assert.equal(updatedOnly.pubDate, "2024-12-08T07:00:00.000Z");
+  });
+
+  await t.test("every author name", () => {
+    assert.equal(post.author, "Ana Lima, Bo Chen");
+    assert.equal(updatedOnly.author, "");
+  });
+
+  await t.test("category label, falling back to term", () => {
+    assert.deepEqual(post.categories, ["Rust", "wasm"]);
+  });
+
+  await t.test("images from enclosure links and media:thumbnail", () => {
+    assert.equal(post.imageUrl, "https://blog.example.org/img/wasm.jpg");
+    assert.equal(
+      updatedOnly.imageUrl,
+      "https://blog.example.org/img/thumb.jpg"
+    );
+  });
+});
+
+test("RSS 1.0 (RDF)", async (t) => {
+  const feed = parseFeed(fixture("rdf.xml"), {
+    feedUrl: "https://science.example.net/rss",
+  });
+  const [comet, bees] = feed.items;
+
+  assert.equal(feed.format, "rdf");
+  assert.equal(feed.title, "Science Daily-ish");
+  assert.equal(feed.items.length, 2);
+
+  await t.test("escaped HTML title", () => {
+    assert.equal(comet.title, "Comet visible this week");
+  });
+
+  await t.test("rdf:about when there is no link", () => {
+    assert.equal(comet.link, "https://science.example.net/articles/comet");
+    assert.equal(bees.link, "https://science.example.net/articles/bees");
+  });
+
+  await t.test("dc:creator, dc:subject and dc:date", () => {
+    assert.equal(comet.author, "R. Patel");
+    assert.deepEqual(comet.categories, ["Astronomy", "Space"]);
+    assert.equal(comet.pubDate, "2024-12-07T18:45:00.000Z");
+    assert.equal(bees.pubDate, "2024-12-06T00:00:00.000Z");
+  });
+
+  await t.test("content:encoded and its first image", () => {
+    assert.equal(comet.content, "Look up after sunset.");
+    assert.equal(comet.imageUrl, "https://science.example.net/img/comet.jpg");
+    assert.equal(bees.imageUrl, null);
+  });
+});
+
+test("unrecognized documents are rejected", () => {
+  assert.throws(
+    () => parseFeed("<html><body>Not a feed</body></html>"),
+    /Unrecognized feed format/
+  );
+});
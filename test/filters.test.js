@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { filterFields } = await import("../src/filters.js");
+
+const article = {
+  link: "https://www.news.example.com/world/summit",
+  source: "Example News",
+  categories: ["World", "world"],
+};
+
+test("dated articles sort by their publish date", () => {
+  const fields = filterFields({
+    ...article,
+    pubDate: "2024-12-10T13:30:00.000Z",
+    fetchedAt: Date.parse("2024-12-11T00:00:00.000Z"),
+  });
+  assert.equal(fields.pubTimestamp, Date.parse("2024-12-10T13:30:00.000Z"));
+  assert.equal(fields.sortTimestamp, fields.pubTimestamp);
+  assert.deepEqual(fields.domains, ["news.example.com"]);
+  assert.deepEqual(fields.categoryKeys, ["world"]);
+});
+
+test("undated articles sort by when they were fetched", () => {
+  const fetchedAt = Date.parse("2024-12-11T00:00:00.000Z");
+  const fields = filterFields({ ...article, pubDate: "", fetchedAt });
+  assert.equal(fields.pubTimestamp, null);
+  assert.equal(fields.sortTimestamp, fetchedAt);
+});
+
+test("stored points without a fetch time sort as of now", () => {
+  const before = Date.now();
+  const { sortTimestamp } = filterFields({ ...article, pubDate: "soon" });
+  assert.ok(sortTimestamp >= before && sortTimestamp <= Date.now());
+});
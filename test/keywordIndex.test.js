@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  tokenize,
+  createKeywordIndex,
+  reciprocalRankFusion,
+} from "../src/keywordIndex.js";
+
+const rankedIds = (results) => results.map(({ id }) => id);
+
+test("tokens are lowercased without stopwords", () => {
+  assert.deepEqual(tokenize("What is the NVDA price?"), ["nvda", "price"]);
+  assert.deepEqual(tokenize(""), []);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test("dotted and hyphenated terms are kept whole and split", () => {
+  assert.deepEqual(tokenize("H.R.2617 passed"), ["h.r.2617", "2617", "passed"]);
+  assert.deepEqual(tokenize("COVID-19 cases"), [
+    "covid-19",
+    "covid",
+    "19",
+    "cases",
+  ]);
+});
+
+test("an exact ticker match ranks first", () => {
+  const index = createKeywordIndex();
+  index.add("chips", "Chip stocks rally as shares jump on strong demand");
+  index.add("nvda", "NVDA shares jump after earnings");
+  index.add("season", "Earnings season lifts shares across the market");
+
+  const results = index.search("NVDA shares");
+  assert.equal(results[0].id, "nvda");
+  assert.equal(results.length, 3);
+  assert.ok(results[0].score > results[1].score);
+});
+
+test("a full bill number beats a bare number", () => {
+  const index = createKeywordIndex();
+  index.add("count", "The agency counted 2617 claims this week");
+  index.add("bill", "House passes H.R.2617 spending bill");
+
+  assert.deepEqual(rankedIds(index.search("h.r.2617")), ["bill", "count"]);
+});
+
+test("documents can be replaced and removed", () => {
+  const index = createKeywordIndex();
+  index.add("a", "Election results announced");
+  index.add("a", "Weather forecast for the weekend");
+  assert.equal(index.size, 1);
+  assert.deepEqual(index.search("election"), []);
+  assert.deepEqual(rankedIds(index.search("weather")), ["a"]);
+
+  index.remove("a");
+  assert.equal(index.size, 0);
+  assert.deepEqual(index.search("weather"), []);
+});
+
+test("search respects the limit", () => {
+  const index = createKeywordIndex();
+  for (let n = 0; n < 5; n++) index.add(n, `Markets update ${n}`);
+  assert.equal(index.search("markets", 2).length, 2);
+});
+
+test("fusion ranks items found by both searches first", () => {
+  const vector = [{ id: "a" }, { id: "b" }, { id: "c" }];
+  const keyword = [{ id: "d" }, { id: "c" }];
+
+  const fused = reciprocalRankFusion([vector, keyword]);
+  const ranked = [...fused.entries()]
+    .sort((x, y) => y[1] - x[1])
+    .map(([id]) => id);
+
+  assert.equal(ranked[0], "c");
+  assert.equal(fused.get("a"), 1 / 61);
+  assert.equal(fused.get("c"), 1 / 63 + 1 / 62);
+  assert.equal(fused.size, 4);
+});
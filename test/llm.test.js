@@ -0,0 +1,166 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+// The chat path runs against the deterministic mock model; set before the
+// modules below read their configuration
+process.env.LLM_PROVIDER = "mock";
+process.env.LOG_LEVEL = "warn";
+
+const { CONFIG } = await import("../src/config.js");
+const { llmProvider, createLLMProvider, resolveGenerationConfig } =
+  await import("../src/llm.js");
+const { buildPrompt } = await import("../src/promptBuilder.js");
+const { resolveCitations } = await import("../src/citations.js");
+const { rewriteQuery } = await import("../src/queryRewriter.js");
+const { summarizeConversation } = await import("../src/summarizer.js");
+
+const articles = [
+  {
+    title: "Markets rally as inflation cools",
+    description: "Stocks rose sharply on Tuesday.",
+    link: "https://news.example.com/markets/rally",
+    pubDate: "2024-12-10T13:30:00.000Z",
+    source: "Example News",
+    vectorScore: 0.82,
+  },
+  {
+    title: "New phone unveiled",
+    description: "A new phone.",
+    link: "https://news.example.com/tech/phone",
+    pubDate: "2024-12-09T08:00:00.000Z",
+    source: "Example News",
+    vectorScore: 0.61,
+  },
+];
+
+const collect = async (stream) => {
+  let text = "";
+  for await (const chunk of stream) text += chunk;
+  return text;
+};
+
+test("LLM_PROVIDER selects the mock provider", () => {
+  assert.equal(llmProvider.name, "mock");
+  assert.equal(llmProvider.model, "mock-1");
+});
+
+test("unknown providers are rejected", () => {
+  assert.throws(() => createLLMProvider("nope"), /Unknown LLM provider/);
+});
+
+test("mock answer cites the top source", async () => {
+  const { prompt } = buildPrompt("What moved markets?", articles);
+  const answer = await llmProvider.generate(prompt);
+
+  assert.equal(
+    answer,
+    'Mock answer to "What moved markets?". The top story is "Markets rally as inflation cools" [1].'
+  );
+
+  const { citations, cited } = resolveCitations(answer, articles.length);
+  assert.deepEqual(cited, [1]);
+  assert.equal(citations.length, 1);
+  assert.deepEqual(citations[0].sources, [1]);
+});
+
+test("mock answer without sources", async () => {
+  const { prompt } = buildPrompt("Anything new?", []);
+  assert.equal(
+    await llmProvider.generate(prompt),
+    'Mock answer to "Anything new?". No sources were provided.'
+  );
+});
+
+test("streaming yields the same answer", async () => {
+  const { prompt } = buildPrompt("What moved markets?", articles);
+  assert.equal(
+    await collect(llmProvider.stream(prompt)),
+    await llmProvider.generate(prompt)
+  );
+});
+
+test("streaming stops once the signal is aborted", async () => {
+  const { prompt } = buildPrompt("What moved markets?", articles);
+  const controller = new AbortController();
+  controller.abort();
+  assert.equal(
+    await collect(llmProvider.stream(prompt, { signal: controller.signal })),
+    ""
+  );
+});
+
+test("query rewriting round-trips the follow-up", async () => {
+  const history = [
+    { role: "user", content: "What moved markets?" },
+    { role: "assistant", content: "Stocks rallied [1]." },
+  ];
+
+  assert.deepEqual(await rewriteQuery("What about bonds?", history), {
+    query: "What about bonds?",
+    rewritten: false,
+  });
+  assert.deepEqual(await rewriteQuery("What about bonds?", []), {
+    query: "What about bonds?",
+    rewritten: false,
+  });
+});
+
+test("conversation summary lists the user's questions", async () => {
+  const summary = await summarizeConversation("", [
+    { role: "user", content: "What moved markets?" },
+    { role: "assistant", content: "Stocks rallied." },
+    { role: "user", content: "And bonds?" },
+  ]);
+  assert.equal(
+    summary,
+    "The user asked about: What moved markets?; And bonds?"
+  );
+});
+
+test("generation overrides are merged and checked", () => {
+  assert.deepEqual(resolveGenerationConfig({ temperature: 0.2 }), {
+    temperature: 0.2,
+    topK: 40,
+    topP: 0.95,
+    maxOutputTokens: 2048,
+  });
+  assert.throws(
+    () => resolveGenerationConfig({ temperature: 3 }),
+    /temperature/
+  );
+  assert.throws(
+    () => resolveGenerationConfig({ seed: 1 }),
+    /Unknown generation setting "seed"/
+  );
+});
+
+test("OpenAI-compatible requests leave out top_k unless enabled", async () => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      bodies.push(JSON.parse(body));
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ choices: [{ message: { content: "ok" } }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  CONFIG.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  const generationConfig = resolveGenerationConfig();
+
+  try {
+    const openai = createLLMProvider("openai", "gpt-4o-mini");
+    assert.equal(await openai.generate("hi", { generationConfig }), "ok");
+    assert.equal(bodies[0].top_p, 0.95);
+    assert.ok(!("top_k" in bodies[0]));
+
+    CONFIG.OPENAI_SEND_TOP_K = true;
+    await openai.generate("hi", { generationConfig });
+    assert.equal(bodies[1].top_k, 40);
+  } finally {
+    CONFIG.OPENAI_SEND_TOP_K = false;
+    server.close();
+  }
+});
@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOG_LEVEL = "warn";
+
+const { CONFIG } = await import("../src/config.js");
+const { buildPrompt, estimateTokens } = await import("../src/promptBuilder.js");
+
+const QUERY = "What happened at the summit?";
+
+const article = (n, length = 400) => ({
+  title: `Story ${n}`,
+  description: `Story ${n} text `.repeat(length / 16),
+  link: `https://news.example.com/${n}`,
+  pubDate: "2024-12-10T13:30:00.000Z",
+  source: "Example News",
+  vectorScore: 0.9 - n / 100,
+});
+
+const message = (role, n) => ({
+  role,
+  content: `${role} message ${n} `.repeat(40),
+});
+
+// Tokens taken by instructions and the question alone
+const baseTokens = buildPrompt(QUERY, [], { budget: 1e6 }).usage.promptTokens;
+
+test("estimateTokens counts about four characters per token", () => {
+  assert.equal(estimateTokens(""), 0);
+  assert.equal(estimateTokens("abcd"), 1);
+  assert.equal(estimateTokens("abcde"), 2);
+});
+
+test("everything fits in a large budget", () => {
+  const articles = [1, 2, 3].map((n) => article(n));
+  const {
+    prompt,
+    articles: used,
+    usage,
+  } = buildPrompt(QUERY, articles, {
+    budget: 1e6,
+  });
+
+  assert.equal(used.length, 3);
+  assert.equal(usage.sourcesDropped, 0);
+  assert.match(prompt, /\[Source 3\] \(Example News - Relevance: 87\.0%\)/);
+  assert.ok(
+    prompt.endsWith(
+      `User Question: ${QUERY}\n\nPlease provide a clear, well-formatted answer using markdown:`
+    )
+  );
+});
+
+test("the budget drops sources from the end", () => {
+  const articles = [1, 2, 3, 4].map((n) => article(n));
+  const blockTokens = buildPrompt(QUERY, [articles[0]], { budget: 1e6 }).usage
+    .sourceTokens;
+
+  const {
+    prompt,
+    articles: used,
+    usage,
+  } = buildPrompt(QUERY, articles, {
+    budget: baseTokens + Math.floor(blockTokens * 2.5),
+  });
+
+  assert.deepEqual(used, articles.slice(0, 2));
+  assert.equal(usage.sourcesUsed, 2);
+  assert.equal(usage.sourcesDropped, 2);
+  assert.match(prompt, /\[Source 2\]/);
+  assert.doesNotMatch(prompt, /\[Source 3\]/);
+});
+
+test("a source that doesn't fit drops every lower-ranked one", () => {
+  const articles = [article(1), article(2, 4000), article(3, 16)];
+  const blockTokens = buildPrompt(QUERY, [articles[0]], { budget: 1e6 }).usage
+    .sourceTokens;
+
+  const { articles: used, usage } = buildPrompt(QUERY, articles, {
+    budget: baseTokens + blockTokens * 2,
+  });
+
+  // Source 3 is small enough to fit but would be renumbered as [2]
+  assert.deepEqual(used, [articles[0]]);
+  assert.equal(usage.sourcesDropped, 2);
+});
+
+test("history keeps the newest messages within its share", () => {
+  const history = [];
+  for (let n = 1; n <= 10; n++) {
+    history.push(message(n % 2 ? "user" : "assistant", n));
+  }
+  const budget = 2000;
+
+  const { prompt, usage } = buildPrompt(QUERY, [article(1)], {
+    history,
+    budget,
+  });
+
+  assert.ok(usage.historyTokens <= budget * CONFIG.PROMPT_HISTORY_SHARE);
+  assert.ok(usage.historyMessagesUsed > 0);
+  assert.ok(usage.historyMessagesUsed < CONFIG.PROMPT_HISTORY_MESSAGES);
+  assert.match(prompt, /Assistant: assistant message 10 /);
+  assert.doesNotMatch(prompt, /message 4 /);
+  // Oldest kept message comes first
+  const kept = [...prompt.matchAll(/message (\d+) /g)].map((m) => m[1]);
+  assert.equal(kept[0], String(11 - usage.historyMessagesUsed));
+});
+
+test("the summary is always included", () => {
+  const { prompt, usage } = buildPrompt(QUERY, [article(1)], {
+    summary: "The user asked about the election.",
+    budget: baseTokens,
+  });
+
+  assert.match(
+    prompt,
+    /Summary of earlier conversation:\nThe user asked about the election\./
+  );
+  assert.equal(usage.sourcesUsed, 0);
+  assert.ok(usage.summaryTokens > 0);
+});